@@ -30,6 +30,7 @@
  * @param p {string} - property to use to distinguish different payload types (schemas)
  * @param t {string} - topic name
  * @param c {string} - connection details (hostname:port) for zookeeper connection
+ * @param r {string} - RID of the Kafka topic in IGC, recorded in each schema (x-ibm-igc-rid) so that lineage can be generated from it
  * @example
  * // generates JSON Schema files for each different 'eventType' on the InfosphereEvents topic at localhost:52181
  * ./generateJSONSchemaForKafkaTopic.js -d /schemas/for/InfosphereEvents -t InfosphereEvents -p eventType -c localhost:52181 -n https://www.ibm.com/InfoSphere/InformationServer/InfosphereEvents
@@ -51,6 +52,7 @@ const argv = yargs
     .alias('t', 'topic').nargs('t', 1).describe('t', 'Name of the Kafka topic for which to generate JSON Schema definition(s)')
     .alias('c', 'connection').nargs('c', 1).describe('c', 'Connection for zookeeper in the form hostname:port')
     .alias('n', 'namespace').nargs('n', 1).describe('n', 'A fully-qualified URL namespace to uniquely scope the schema(s)')
+    .alias('r', 'rid').nargs('r', 1).describe('r', 'RID of the Kafka topic in IGC, to record in each schema for lineage')
     .demandOption(['d','c','t','p','n'])
     .help('h')
     .alias('h', 'help')
@@ -125,9 +127,14 @@ function reworkSchema(schema) {
   // 2. Remove 'required' entries (will cause warnings when loading otherwise)
   delete newSchema.required;
 
-  // 2. Add an 'id' entry to scope the schema definition
+  // 3. Add an 'id' entry to scope the schema definition
   newSchema['id'] = argv.namespace + "/#" + newSchema['title']
 
+  // 4. Record the topic the schema was generated from, if it is known to IGC
+  if (typeof argv.rid !== 'undefined') {
+    newSchema['x-ibm-igc-rid'] = argv.rid;
+  }
+
   return newSchema;
 
 }
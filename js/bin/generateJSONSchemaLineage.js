@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Example automation to construct OpenIGC flow (lineage) XML from the assets that JSON Schema files were generated from
+ * @license Apache-2.0
+ * @requires ibm-iis-commons
+ * @requires ibm-igc-rest
+ * @requires fs-extra
+ * @requires pretty-data
+ * @requires yargs
+ * @requires prompt
+ * @param d {string} - directory containing the JSON Schema files (JSON or YAML)
+ * @param x {string} - JSON (or YAML) file mapping extension keywords (x-...) to IGC attributes or relationships, including those with lineage
+ * @param o {string} - file into which to write the flow XML
+ * @param t {string[]} - types of the assets from which data flows into the schemas (besides design tables, views and columns)
+ * @param i {string} - how to identify each schema: 'schema' (its own id, the default), 'file' or 'path'
+ * @param n {string} - namespace for any identity derived from a file, rather than taken from the schema
+ * @param m {string} - 'strict' (default) to skip any schema with warnings or errors, or 'lenient' to skip only those with errors
+ * @param force {boolean} - include schemas even where they are not valid against the meta-schema for their draft
+ * @param r {boolean} - find JSON Schema files within the sub-directories of the directory as well
+ * @param include {string[]} - glob patterns, of which any one must match the path of a file (relative to the directory) for it to be read
+ * @param exclude {string[]} - glob patterns, of which none may match the path of a file (relative to the directory) for it to be read
+ * @example
+ * // creates flow XML in Lineage.xml from the design columns and Kafka topic the schemas in /schemas were generated from
+ * ./generateJSONSchemaLineage.js -d /schemas -x ExtensionMapping.json -o Lineage.xml -t kafka_topic
+ */
+
+const igcjson = require('../');
+const path = require('path');
+const commons = require('ibm-iis-commons');
+const fs = require('fs-extra');
+const pd = require('pretty-data').pd;
+const igcrest = require('ibm-igc-rest');
+const prompt = require('prompt');
+prompt.colors = false;
+
+// The assets already in IGC are looked up through its REST API (once connected)
+const igcSearch = new igcjson.JSONSchemaIGCSearch(igcrest);
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -d <path> -x <path> -o <path> -a <authfile> -p <password>')
+    .example('$0 -d /schema/location -x ExtensionMapping.json -o Lineage.xml', 'creates flow XML in Lineage.xml from the design tables and columns the JSON Schema files in the directory provided were generated from (and default credentials file in ~/.infosvrauth)')
+    .alias('d', 'directory').nargs('d', 1).describe('d', 'Directory containing JSON Schema files (JSON or YAML)')
+    .alias('x', 'extensions').nargs('x', 1).describe('x', 'JSON (or YAML) file mapping extension keywords (x-...) to IGC attributes or relationships, including those with lineage')
+    .alias('o', 'output').nargs('o', 1).describe('o', 'File into which to write the flow XML')
+    .alias('t', 'types').array('t').default('t', [])
+    .describe('t', 'Types of the assets from which data flows into the schemas, besides design tables, views and columns (eg. that of a Kafka topic)')
+    .alias('i', 'identity').nargs('i', 1).choices('i', igcjson.JSONSchemaOpenIGC.getIdentityModes()).default('i', 'schema')
+    .describe('i', 'Identify each schema by its own id (falling back to its file), its file name, or its directory path and file name')
+    .alias('n', 'namespace').nargs('n', 1).describe('n', 'Namespace for any identity derived from a file (defaults to \'local\')')
+    .alias('m', 'mode').nargs('m', 1).choices('m', ['strict', 'lenient']).default('m', 'strict')
+    .describe('m', 'Skip schemas with any warnings (strict) or only those with errors (lenient), as when loading them')
+    .boolean('force').default('force', false)
+    .describe('force', 'Include schemas even where they are not valid against the meta-schema for their draft, as when loading them')
+    .alias('r', 'recursive').boolean('r').default('r', false)
+    .describe('r', 'Find JSON Schema files within the sub-directories of the directory as well')
+    .array('include').default('include', [ "**" ])
+    .describe('include', 'Glob patterns, of which any one must match the path of a file (relative to the directory) for it to be read')
+    .array('exclude').default('exclude', igcjson.JSONSchemaOpenIGC.getDefaultExcludes())
+    .describe('exclude', 'Glob patterns, of which none may match the path of a file (relative to the directory) for it to be read')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .demandOption(['d','x','o'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+// Base settings
+const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+const aSourceTypes = [ "design_table", "design_view", "design_column" ].concat(argv.types);
+
+prompt.override = argv;
+
+const inputPrompt = {
+  properties: {
+    password: {
+      hidden: true,
+      required: true,
+      message: "Please enter the password for user '" + envCtx.username + "': "
+    }
+  }
+};
+prompt.message = "";
+prompt.delimiter = "";
+
+prompt.start();
+prompt.get(inputPrompt, function (errPrompt, result) {
+  igcrest.setConnection(envCtx.getRestConnection(result.password, 1));
+  igcrest.openSession().then(function() {
+
+    // Translate the schemas just as they are loaded, so that the flows are into the same assets
+    // (so the same -m and --force should be used, for the flows to be only into the schemas that were loaded)
+    const igcObj = new igcjson.JSONSchemaOpenIGC({
+      mode: argv.mode,
+      identity: argv.identity,
+      namespace: argv.namespace,
+      baseDirectory: argv.directory,
+      extensions: igcjson.JSONSchemaOpenIGC.readExtensionMappingFromFile(argv.extensions),
+      force: argv.force
+    });
+    const aFiles = igcjson.JSONSchemaOpenIGC.findFiles(argv.directory, {
+      recursive: argv.recursive,
+      include: argv.include,
+      exclude: argv.exclude
+    });
+    for (let i = 0; i < aFiles.length; i++) {
+      if (['.json', '.yaml', '.yml'].indexOf(path.extname(aFiles[i])) !== -1) {
+        const aDiagnostics = igcObj.readSchemaFromFile(argv.directory + path.sep + aFiles[i]);
+        if (!igcObj.isLoadable(aDiagnostics)) {
+          console.log("Skipping -- file produced diagnostics not allowed in " + argv.mode + " mode (" + aFiles[i] + ").");
+        }
+      }
+    }
+    const lineage = new igcjson.JSONSchemaLineage(igcObj);
+    const aRIDs = lineage.getSourceRIDs();
+    console.log("Identifying the " + aRIDs.length + " asset(s) from which data flows into the schemas...");
+
+    // IGC identifies the assets in flow XML by their context, rather than their RID, so look this up for each
+    const identification = aRIDs.reduce(function(previous, rid) {
+      return previous.then(function() {
+        return igcSearch.findAssetContext(rid, aSourceTypes).then(function(aContext) {
+          if (aContext !== null) {
+            lineage.addSource(rid, aContext);
+          }
+        });
+      });
+    }, Promise.resolve());
+
+    identification.then(function() {
+      const aUnidentified = lineage.getUnidentifiedSourceRIDs();
+      for (let i = 0; i < aUnidentified.length; i++) {
+        console.log("WARNING: Unable to find an asset of type " + JSON.stringify(aSourceTypes) + " with RID '" + aUnidentified[i] + "', so leaving out its flows.");
+      }
+      const xml = lineage.getOpenIGCFlowXML();
+      if (xml === null) {
+        console.log("No flows found for the schemas in '" + argv.directory + "'.");
+      } else {
+        const options = {
+          "encoding": 'utf8',
+          "mode": 0o644,
+          "flag": 'w'
+        };
+        fs.writeFileSync(argv.output, pd.xml(xml), options);
+        console.log("Flows for the schemas in '" + argv.directory + "' written to: " + argv.output);
+      }
+      return igcrest.closeSession();
+    })
+    .catch(console.error);
+
+  });
+
+});
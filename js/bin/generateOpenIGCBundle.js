@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Generates the OpenIGC bundle (asset type descriptor and labels) from the model of the bundle
+ * @license Apache-2.0
+ * @requires fs-extra
+ * @requires yargs
+ * @param d {string} - bundle directory into which to generate the files (defaults to the JSON_Schema directory of this package)
+ * @param check {boolean} - only check that the files in the directory are those that would be generated
+ * @example
+ * // re-generates JSON_Schema/asset_type_descriptor.xml and JSON_Schema/i18n/labels.properties
+ * ./generateOpenIGCBundle.js
+ */
+
+const igcjson = require('../');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 [-d <path>] [--check]')
+    .example('$0 --check', 'checks that the bundle files in the JSON_Schema directory are up-to-date with the model of the bundle')
+    .alias('d', 'directory').nargs('d', 1).default('d', path.join(__dirname, '..', '..', 'JSON_Schema'))
+    .describe('d', 'Bundle directory into which to generate the asset type descriptor and labels')
+    .boolean('check').default('check', false)
+    .describe('check', 'Only check that the files in the directory are those that would be generated')
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const aProblems = igcjson.JSONSchemaBundle.checkConsistency();
+for (let i = 0; i < aProblems.length; i++) {
+  console.error("ERROR: " + aProblems[i]);
+}
+if (aProblems.length > 0) {
+  process.exit(1);
+}
+
+const hmFiles = {};
+hmFiles[path.join(argv.directory, 'asset_type_descriptor.xml')] = igcjson.JSONSchemaBundle.getDescriptorXML();
+hmFiles[path.join(argv.directory, 'i18n', 'labels.properties')] = igcjson.JSONSchemaBundle.getLabelsProperties();
+
+let outOfDate = 0;
+const aFilenames = Object.keys(hmFiles);
+for (let i = 0; i < aFilenames.length; i++) {
+  const filename = aFilenames[i];
+  if (argv.check) {
+    if (!fs.existsSync(filename) || fs.readFileSync(filename, 'utf8') !== hmFiles[filename]) {
+      console.error("ERROR: Out-of-date with the model of the bundle: " + filename);
+      outOfDate++;
+    }
+  } else {
+    const options = {
+      "encoding": 'utf8',
+      "mode": 0o644,
+      "flag": 'w'
+    };
+    fs.ensureDirSync(path.dirname(filename));
+    fs.writeFileSync(filename, hmFiles[filename], options);
+    console.log("Generated: " + filename);
+  }
+}
+if (outOfDate > 0) {
+  process.exitCode = 1;
+} else if (argv.check) {
+  console.log("Bundle in '" + argv.directory + "' is up-to-date with the model of the bundle.");
+}
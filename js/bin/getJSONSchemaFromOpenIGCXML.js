@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Re-generates JSON Schema files from OpenIGC asset XML containing JSON Schema assets
+ * @license Apache-2.0
+ * @requires fs-extra
+ * @requires pretty-data
+ * @requires yargs
+ * @param f {string} - OpenIGC asset XML file containing the JSON Schema assets
+ * @param d {string} - directory into which to write the JSON Schema file(s)
+ * @param x {string} - JSON (or YAML) file mapping extension keywords (x-...) to the IGC attributes they were loaded into
+ * @example
+ * // re-generates a JSON Schema file in /schemas/recovered for every JSON Schema in AssetsToLoad.xml
+ * ./getJSONSchemaFromOpenIGCXML.js -f AssetsToLoad.xml -d /schemas/recovered
+ */
+
+const igcjson = require('../');
+const path = require('path');
+const fs = require('fs-extra');
+const pd = require('pretty-data').pd;
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -f <path> -d <path>')
+    .example('$0 -f AssetsToLoad.xml -d /schemas/recovered', 're-generates a JSON Schema file for every JSON Schema in the OpenIGC asset XML provided')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'OpenIGC asset XML file containing JSON Schema assets')
+    .alias('d', 'directory').nargs('d', 1).describe('d', 'Output directory for JSON Schema file(s)')
+    .alias('x', 'extensions').nargs('x', 1).describe('x', 'JSON (or YAML) file mapping extension keywords (x-...) to the IGC attributes they were loaded into')
+    .demandOption(['f','d'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const rebuilder = new igcjson.OpenIGCJSONSchema({
+  extensions: argv.extensions ? igcjson.JSONSchemaOpenIGC.readExtensionMappingFromFile(argv.extensions) : {}
+});
+rebuilder.readOpenIGCXMLFromFile(argv.file);
+
+const hmSchemas = rebuilder.getSchemas();
+const aIds = Object.keys(hmSchemas);
+for (let i = 0; i < aIds.length; i++) {
+  const schema = hmSchemas[aIds[i]];
+  const outputFile = argv.directory + path.sep + schema.title + '.json';
+  const options = {
+    "encoding": 'utf8',
+    "mode": 0o644,
+    "flag": 'w'
+  };
+  fs.writeFileSync(outputFile, pd.json(schema), options);
+  console.log("Schema '" + aIds[i] + "' written to: " + outputFile);
+}
@@ -28,13 +28,29 @@
  * @requires pretty-data
  * @requires yargs
  * @requires prompt
- * @param f {string} - JSON file for which to create IGC assets
+ * @param f {string} - JSON (or YAML) file for which to create IGC assets
+ * @param i {string} - how to identify each schema: 'schema' (its own id, the default), 'file' or 'path'
+ * @param n {string} - namespace for any identity derived from a file, rather than taken from the schema
+ * @param s {number} - maximum size (in characters) of each XML payload sent to IGC
+ * @param x {string} - JSON (or YAML) file mapping extension keywords (x-...) to IGC attributes or relationships
+ * @param m {string} - 'strict' (default) to skip any schema with warnings or errors, or 'lenient' to skip only those with errors
+ * @param force {boolean} - load schemas even where they are not valid against the meta-schema for their draft
+ * @param c {string} - directory containing the previous version of the JSON Schema files, or OpenIGC asset XML exported from IGC, against which to load only what has changed
+ * @param r {boolean} - find JSON Schema files and side-cars within the sub-directories of the directory as well
+ * @param include {string[]} - glob patterns, of which any one must match the path of a file (relative to the directory) for it to be read
+ * @param exclude {string[]} - glob patterns, of which none may match the path of a file (relative to the directory) for it to be read
+ * @param state {string} - file recording what has already been loaded (and from which content), so that a re-run resumes rather than starting over
+ * @param concurrency {number} - maximum number of concurrent requests made to IGC when setting relationships
+ * @param retries {number} - maximum number of times to retry a request to IGC that fails in a way that may be transient
+ * @param backoff {number} - delay (in milliseconds) before the first retry, doubled for each one after that
+ * @param o {string} - directory into which to write the OpenIGC asset XML and a plan of the relationships to set, rather than loading them into IGC
+ * @param batch {boolean} - write the XML in the payloads that would be sent to IGC, rather than for each schema
  * @example
- * // creates and loads IGC assets based on the JSON Schema provided (and default credentials file in ~/.infosvrauth)
- * ./loadJSONSchemaDefinition.js -f MySchema.json
+ * // creates and loads IGC assets based on the JSON Schema files provided (and default credentials file in ~/.infosvrauth)
+ * ./loadJSONSchemaDefinitionsAndSidecars.js -d /schemas
  * @example
- * // creates IGC assets XML file and saves into AssetsToLoad.xml; does not attempt to load to environment
- * ./loadJSONSchemaDefinition.js -f MySchema.json -o AssetsToLoad.xml
+ * // creates IGC assets XML files for each schema and a plan of the relationships into /tmp/review; does not attempt to load to environment
+ * ./loadJSONSchemaDefinitionsAndSidecars.js -d /schemas -o /tmp/review
  */
 
 const igcjson = require('../');
@@ -46,138 +62,579 @@ const igcrest = require('ibm-igc-rest');
 const prompt = require('prompt');
 prompt.colors = false;
 
+// The assets already in IGC are looked up through its REST API (once connected)
+const igcSearch = new igcjson.JSONSchemaIGCSearch(igcrest);
+
 // Command-line setup
 const yargs = require('yargs');
 const argv = yargs
     .usage('Usage: $0 -d <path> -a <authfile> -p <password>')
     .example('$0 -d /schema/location', 'creates and loads OpenIGC assets based on the JSON Schema files in the directory provided (and default credentials file in ~/.infosvrauth)')
-    .alias('d', 'directory').nargs('d', 1).describe('f', 'Directory containing JSON Schema files and sidecars')
+    .example('$0 -d /schema/location -o /tmp/review', 'writes the OpenIGC assets for each JSON Schema file, and a plan of the relationships to set, into /tmp/review without loading them')
+    .alias('d', 'directory').nargs('d', 1).describe('d', 'Directory containing JSON Schema files (JSON or YAML) and sidecars')
     .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
     .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .alias('i', 'identity').nargs('i', 1).choices('i', igcjson.JSONSchemaOpenIGC.getIdentityModes()).default('i', 'schema')
+    .describe('i', 'Identify each schema by its own id (falling back to its file), its file name, or its directory path and file name')
+    .alias('n', 'namespace').nargs('n', 1).describe('n', 'Namespace for any identity derived from a file (defaults to \'local\')')
+    .alias('s', 'size').nargs('s', 1).number('s').default('s', igcjson.JSONSchemaOpenIGC.getDefaultChunkSize())
+    .describe('s', 'Maximum size (in characters) of each XML payload sent to IGC')
+    .alias('x', 'extensions').nargs('x', 1).describe('x', 'JSON (or YAML) file mapping extension keywords (x-...) to IGC attributes or relationships')
+    .alias('m', 'mode').nargs('m', 1).choices('m', ['strict', 'lenient']).default('m', 'strict')
+    .describe('m', 'Skip schemas with any warnings (strict) or only those with errors (lenient)')
+    .boolean('force').default('force', false)
+    .describe('force', 'Load schemas even where they are not valid against the meta-schema for their draft')
+    .alias('c', 'compare').nargs('c', 1)
+    .describe('c', 'Directory containing the previous version of the JSON Schema files, or OpenIGC asset XML exported from IGC, against which to load only what has changed')
+    .alias('r', 'recursive').boolean('r').default('r', false)
+    .describe('r', 'Find JSON Schema files and side-cars within the sub-directories of the directory as well')
+    .array('include').default('include', [ "**" ])
+    .describe('include', 'Glob patterns, of which any one must match the path of a file (relative to the directory) for it to be read')
+    .array('exclude').default('exclude', igcjson.JSONSchemaOpenIGC.getDefaultExcludes())
+    .describe('exclude', 'Glob patterns, of which none may match the path of a file (relative to the directory) for it to be read')
+    .nargs('state', 1)
+    .describe('state', 'File recording what has already been loaded (and from which content), so that a re-run resumes rather than starting over')
+    .nargs('concurrency', 1).number('concurrency').default('concurrency', 4)
+    .describe('concurrency', 'Maximum number of concurrent requests made to IGC when setting relationships')
+    .nargs('retries', 1).number('retries').default('retries', 3)
+    .describe('retries', 'Maximum number of times to retry a request to IGC that fails in a way that may be transient (eg. a timeout or 503)')
+    .nargs('backoff', 1).number('backoff').default('backoff', 1000)
+    .describe('backoff', 'Delay (in milliseconds) before the first retry, doubled for each one after that')
+    .alias('o', 'output').nargs('o', 1)
+    .describe('o', 'Directory into which to write the OpenIGC asset XML and a plan of the relationships to set, rather than loading them into IGC (no connection needed)')
+    .boolean('batch').default('batch', false)
+    .describe('batch', 'With -o, write the XML in the payloads that would be sent to IGC (see -s), rather than for each schema')
     .demandOption(['d'])
     .help('h')
     .alias('h', 'help')
     .wrap(yargs.terminalWidth())
     .argv;
 
-// Base settings
-const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+// 1 - first pass: translate any JSON Schema files into OpenIGC assets (processing only the .json, .yaml and .yml
+// files), all together so that shared namespaces and paths are only sent once, in as few payloads as their size allows
+const findOptions = {
+  recursive: argv.recursive,
+  include: argv.include,
+  exclude: argv.exclude
+};
+const aFiles = igcjson.JSONSchemaOpenIGC.findFiles(argv.directory, findOptions);
+const translationOptions = {
+  mode: argv.mode,
+  identity: argv.identity,
+  namespace: argv.namespace,
+  baseDirectory: argv.directory,
+  extensions: argv.extensions ? igcjson.JSONSchemaOpenIGC.readExtensionMappingFromFile(argv.extensions) : {},
+  force: argv.force
+};
+const igcObj = new igcjson.JSONSchemaOpenIGC(translationOptions);
+for (let i = 0; i < aFiles.length; i++) {
+  const filename = aFiles[i];
+  if (['.json', '.yaml', '.yml'].indexOf(path.extname(filename)) !== -1) {
+    let aDiagnostics = [];
+    try {
+      aDiagnostics = igcObj.readSchemaFromFile(argv.directory + path.sep + filename);
+    } catch (e) {
+      // (reported in the same way as any other error, so that the remaining files are still read)
+      aDiagnostics = [{ "code": 'unreadable-file', "severity": 'error', "schema": null, "location": "#", "message": "Could not read a schema from '" + filename + "': " + e.message }];
+    }
+    for (let j = 0; j < aDiagnostics.length; j++) {
+      console.log(" ... " + filename + " " + igcjson.JSONSchemaOpenIGC.formatDiagnostic(aDiagnostics[j]));
+    }
+    if (!igcObj.isLoadable(aDiagnostics)) {
+      console.log("Skipping -- file produced diagnostics not allowed in " + argv.mode + " mode (" + filename + ").");
+    }
+  } else if (path.extname(filename) !== '.igc') {
+    console.log("Skipping -- not a JSON or YAML file (" + filename + ").");
+  }
+}
+// (the XML for the schemas themselves is only built where it is needed, below)
+let changesXML = null;
+if (typeof argv.compare !== 'undefined') {
+  // Only what has changed since the previous version is sent (in a single payload, as every change to a
+  // schema has to be applied together)
+  const diff = new igcjson.JSONSchemaDiff(readPreviousVersion(argv.compare, translationOptions, findOptions), igcObj);
+  const aChanges = diff.getChanges();
+  for (let i = 0; i < aChanges.length; i++) {
+    const change = aChanges[i];
+    const attributes = change.hasOwnProperty('attributes') ? " " + JSON.stringify(change.attributes) : "";
+    console.log(" ... " + change.change + " " + change.type + " at " + change.schema + change.path + attributes);
+    if (change.change === 'removed' && change.path === '#') {
+      console.log("WARNING: Schema removed entirely, so it must be deleted from IGC directly (" + change.schema + ").");
+    }
+  }
+  changesXML = diff.getOpenIGCXML();
+  console.log("Found " + aChanges.length + " change(s) from the previous version in '" + argv.compare + "'.");
+}
+const aSidecars = [];
+for (let i = 0; i < aFiles.length; i++) {
+  const filename = aFiles[i];
+  if (path.extname(filename) === '.igc') {
+    const sidecar = readSidecarFromFile(filename);
+    if (sidecar !== null) {
+      aSidecars.push({ "file": filename, "sidecar": sidecar });
+    }
+  }
+}
 
-prompt.override = argv;
+if (typeof argv.output !== 'undefined') {
+  writeOutput(argv.output);
+} else {
+  loadIntoIGC();
+}
 
-const inputPrompt = {
-  properties: {
-    password: {
-      hidden: true,
-      required: true,
-      message: "Please enter the password for user '" + envCtx.username + "': "
+// Read the side-car in the provided file, or report it and return null if it cannot be read (or has no '_id' and
+// '_schema' to assign)
+function readSidecarFromFile(filename) {
+  let sidecar = null;
+  let reason = null;
+  try {
+    sidecar = JSON.parse(fs.readFileSync(argv.directory + path.sep + filename, 'utf8'));
+    if (typeof sidecar !== 'object' || sidecar === null || typeof sidecar._id !== 'string' || typeof sidecar._schema !== 'string') {
+      reason = "no '_id' and '_schema' to assign";
     }
+  } catch (e) {
+    reason = e.message;
   }
-};
-prompt.message = "";
-prompt.delimiter = "";
-
-prompt.start();
-prompt.get(inputPrompt, function (errPrompt, result) {
-  igcrest.setConnection(envCtx.getRestConnection(result.password, 1));
-  igcrest.openSession().then(function() {
-
-    // Get listing of files
-    const aFiles = fs.readdirSync(argv.directory);
-    
-    // 1 - first pass: create any JSON Schema OpenIGC assets (processing only the .json files)
-    const igcCreationPromises = aFiles.map(function(filename) {
-      return new Promise(function(resolve, reject) {
-        if (path.extname(filename) === '.json') {
-          const igcObj = new igcjson.JSONSchemaOpenIGC();
-          const aWarns = igcObj.readSchemaFromFile(argv.directory + path.sep + filename);
-          if (aWarns.length === 0) {
-            igcrest.createBundleAssets(pd.xmlmin(igcObj.getOpenIGCXML())).then(function(success) {
-              console.log("Assets created for: " + filename);
-              resolve("Assets created: " + pd.json(JSON.stringify(success)));
-            }, function(failure) {
-              console.error("ERROR: Creating assets for '" + filename + "' failed -- " + failure);
-              reject("ERROR: Creating assets for '" + filename + "' failed -- " + failure);
-            });
-          } else {
-            console.log("Skipping -- file produced warnings (" + filename + "): " + JSON.stringify(aWarns));
-            resolve("Skipping -- file produced warnings (" + filename + "): " + JSON.stringify(aWarns));
-          }
-        } else {
-          console.log("Skipping -- not a JSON file (" + filename + ").");
-          resolve("Skipping -- not a JSON file (" + filename + ").");
+  if (reason !== null) {
+    const diagnostic = {
+      "code": 'unreadable-file',
+      "severity": 'error',
+      "schema": null,
+      "location": '#',
+      "message": "Could not read a side-car from '" + filename + "': " + reason
+    };
+    console.log(" ... " + filename + " " + igcjson.JSONSchemaOpenIGC.formatDiagnostic(diagnostic));
+    console.log("Skipping -- side-car could not be read (" + filename + ").");
+    return null;
+  }
+  return sidecar;
+}
+
+// Write the XML and a plan of the relationships that would be set into the provided directory, rather than loading them
+function writeOutput(directory) {
+
+  const options = {
+    "encoding": 'utf8',
+    "mode": 0o644,
+    "flag": 'w'
+  };
+  fs.ensureDirSync(directory);
+  const aOutputs = [];
+  if (typeof argv.compare !== 'undefined') {
+    if (changesXML !== null) {
+      aOutputs.push({ "file": "changes.xml", "xml": changesXML });
+    }
+  } else if (argv.batch) {
+    const aChunks = igcObj.getOpenIGCXMLChunks(argv.size);
+    for (let i = 0; i < aChunks.length; i++) {
+      aOutputs.push({ "file": "batch" + (i + 1) + ".xml", "xml": aChunks[i] });
+    }
+  } else {
+    const aBySchema = igcObj.getOpenIGCXMLForEachSchema();
+    for (let i = 0; i < aBySchema.length; i++) {
+      const name = igcObj.getAssets(aBySchema[i].schemas[0])[0].name;
+      aOutputs.push({ "file": (i + 1) + "-" + name.replace(/[^A-Za-z0-9_.-]/g, '_') + ".xml", "xml": aBySchema[i].xml });
+    }
+  }
+  for (let i = 0; i < aOutputs.length; i++) {
+    fs.writeFileSync(path.join(directory, aOutputs[i].file), pd.xml(aOutputs[i].xml), options);
+    console.log("Assets written to: " + path.join(directory, aOutputs[i].file));
+  }
+
+  const plan = {
+    "sidecars": aSidecars.map(function(entry) {
+      const asset = findSidecarAsset(entry.sidecar);
+      return {
+        "file": entry.file,
+        "term": entry.sidecar._id,
+        "schema": entry.sidecar._schema,
+        "status": (asset === null) ? 'unmatched' : 'matched',
+        "assets": (asset === null) ? [] : [ asset ]
+      };
+    }),
+    "relationships": igcObj.getRelationships()
+  };
+  fs.writeFileSync(path.join(directory, "plan.json"), JSON.stringify(plan, null, 2) + "\n", options);
+  console.log("Plan of relationships to set written to: " + path.join(directory, "plan.json"));
+  for (let i = 0; i < plan.sidecars.length; i++) {
+    if (plan.sidecars[i].status === 'unmatched') {
+      console.log("WARNING: No schema (or object within one) matching '" + plan.sidecars[i].schema + "' amongst those translated, so only one already in IGC would be assigned (" + plan.sidecars[i].file + ").");
+    }
+  }
+  console.log("All JSON schema information from '" + argv.directory + "' written to '" + directory + "', without connecting to IGC.");
+
+}
+
+// Get the asset a side-car's term is assigned to: the schema given by its '_schema', under either of the ids with which
+// it may have been loaded (with or without an empty fragment, as in 'http://example.com/schemas/Person#'); or, where
+// '_schema' has a JSON Pointer as its fragment (as in 'http://example.com/schemas/Person#/definitions/Address'), the
+// object at that pointer within the schema
+function getSidecarTarget(sidecar) {
+  const pointerIndex = sidecar._schema.indexOf('#/');
+  const schemaId = (pointerIndex === -1) ? sidecar._schema : sidecar._schema.substring(0, pointerIndex);
+  return {
+    "schemas": [ schemaId, (schemaId.slice(-1) === '#') ? schemaId.slice(0, -1) : schemaId + '#' ],
+    "path": (pointerIndex === -1) ? '#' : sidecar._schema.substring(pointerIndex),
+    "type": (pointerIndex === -1) ? 'JSchema' : 'JSObject'
+  };
+}
+
+// Find the asset amongst those translated that a side-car's term would be assigned to (as its schema id, path and
+// type), or null if there is none
+function findSidecarAsset(sidecar) {
+  const aLoadable = igcObj.getSchemaIds();
+  const target = getSidecarTarget(sidecar);
+  for (let i = 0; i < target.schemas.length; i++) {
+    if (aLoadable.indexOf(target.schemas[i]) !== -1) {
+      const aContext = igcObj.getAssetContext(target.schemas[i], target.path);
+      if (aContext !== null) {
+        return {
+          "schema": target.schemas[i],
+          "path": target.path,
+          "type": aContext[aContext.length - 1].type.replace(/^\$JSON_Schema-/, ''),
+          "context": getContextPath(aContext)
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// Get the '/'-separated names of the provided context (eg. of a schema, from its namespace down to the schema itself)
+function getContextPath(aContext) {
+  return aContext.map(function(asset) {
+    return asset.name;
+  }).join('/');
+}
+
+// Load the assets into IGC, and then set the relationships from the side-cars and extension keywords
+function loadIntoIGC() {
+
+  const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+  prompt.override = argv;
+
+  const inputPrompt = {
+    properties: {
+      password: {
+        hidden: true,
+        required: true,
+        message: "Please enter the password for user '" + envCtx.username + "': "
+      }
+    }
+  };
+  prompt.message = "";
+  prompt.delimiter = "";
+
+  prompt.start();
+  prompt.get(inputPrompt, function (errPrompt, result) {
+    igcrest.setConnection(envCtx.getRestConnection(result.password, 1));
+    igcrest.openSession().then(function() {
+
+      const state = new igcjson.JSONSchemaLoadState(argv.state);
+      const counts = { "loaded": 0, "skipped": 0, "failed": 0 };
+      const hmLoadedSchemas = {};
+      const aSidecarReport = [];
+
+      // Each schema's content is recognised by the XML for it, so that a change to the translation (eg. to the
+      // mapping of extension keywords) is loaded as well
+      const hmSchemaHashes = {};
+      const aBySchema = igcObj.getOpenIGCXMLForEachSchema();
+      for (let i = 0; i < aBySchema.length; i++) {
+        for (let j = 0; j < aBySchema[i].schemas.length; j++) {
+          hmSchemaHashes[aBySchema[i].schemas[j]] = igcjson.JSONSchemaLoadState.hash(aBySchema[i].xml);
         }
-      });
-    });
+      }
+      let aPayloads = [];
+      if (typeof argv.compare === 'undefined') {
+        const aToLoad = igcObj.getSchemaIds().filter(function(schemaId) {
+          if (state.isLoaded('schemas', schemaId, hmSchemaHashes[schemaId])) {
+            console.log("Skipping -- already loaded (" + schemaId + ").");
+            counts.skipped++;
+            return false;
+          }
+          return true;
+        });
+        aPayloads = (aToLoad.length > 0) ? igcObj.getOpenIGCPayloads(argv.size, aToLoad) : [];
+      } else if (changesXML !== null) {
+        aPayloads = [{ "schemas": igcObj.getSchemaIds(), "xml": changesXML }];
+      }
 
-    // 2 - second pass: process any relationships for the OpenIGC assets defined in the side-cars
-    // (processing only the .igc files)
-    const igcUpdatePromises = aFiles.map(function(filename) {
-      return new Promise(function(resolve, reject) {
-
-        if (path.extname(filename) === '.igc') {
-
-          const sidecar = JSON.parse(fs.readFileSync(argv.directory + path.sep + filename, 'utf8'));
-
-          const qGetSchemaRefs = {
-            "types": [ "$JSON_Schema-JSchema", "$JSON_Schema-JSObject" ],
-            "properties": [ "name", "$ref", "$id" ],
-            "where": {
-              "conditions": [{
-                "property": "name",
-                "operator": "=",
-                "value": sidecar._schema.split('/').pop()
-              }],
-              "operator": "and"
-            },
-            "pageSize": 100
-          };
-        
-          // Retrieve all OpenIGC JSON Schema objects whose name matches that of the
-          // sidecar
-          // NOTE: assumes that the object names do not overlap without actually pointing to
-          // the same object (reference)!
-          igcrest.search(qGetSchemaRefs).then(function(res) {
-            igcrest.getAllPages(res.items, res.paging).then(function(allSchemaRefs) {
-        
-              const assetsToAssignToTerm = {
-                "assigned_assets": {
-                  "items": []
-                }
-              };
-              for (let i = 0; i < allSchemaRefs.length; i++) {
-                assetsToAssignToTerm.assigned_assets.items.push(allSchemaRefs[i]._id);
-              }
-              // Assign from term to all OpenIGC JSON Schema objects in one update
-              igcrest.update(sidecar._id, assetsToAssignToTerm).then(function(success) {
-                console.log("Successfully updated relationships for: " + filename);
-                resolve("Successfully updated relationship for '" + filename + "' (from " + sidecar._id + "): " + JSON.stringify(success));
-              }, function(failure) {
-                console.log("ERROR: Update failed for '" + filename + "' -- " + failure);
-                reject("ERROR: Update failed for '" + filename + "' -- " + failure);
-              });
-        
-            });
+      // 1 - first pass: create the assets, one payload at a time (as payloads can share the namespaces and paths
+      // containing their schemas), carrying on with the rest where any one of them fails
+      const igcCreation = aPayloads.reduce(function(previous, payload, index) {
+        return previous.then(function() {
+          const description = "Creating assets for batch " + (index + 1) + " of " + aPayloads.length;
+          return withRetries(description, function() {
+            return igcrest.createBundleAssets(pd.xmlmin(payload.xml));
+          }).then(function() {
+            console.log("Assets created for batch " + (index + 1) + " of " + aPayloads.length + ".");
+            for (let i = 0; i < payload.schemas.length; i++) {
+              state.markLoaded('schemas', payload.schemas[i], hmSchemaHashes[payload.schemas[i]]);
+              hmLoadedSchemas[payload.schemas[i]] = true;
+            }
+            // (counted by schema, as those already loaded are skipped by schema)
+            counts.loaded += payload.schemas.length;
+          }, function(failure) {
+            console.error("ERROR: " + description + " failed -- " + failure);
+            counts.failed += payload.schemas.length;
           });
+        });
+      }, Promise.resolve());
 
-        } else {
-          resolve("Skipping -- not a side-car file (" + filename + ").");
+      igcCreation.then(function() {
+        // 2 - second pass: set any relationships mapped from extension keywords, and then those defined in the
+        // side-cars (processing only the .igc files), for which any newly-created assets may now be assigned
+        return setExtensionRelationships(igcObj.getRelationships(), state, hmSchemaHashes, counts).then(function() {
+          return setSidecarRelationships(hmLoadedSchemas, state, counts, aSidecarReport);
+        }).then(function() {
+          if (aSidecars.length > 0) {
+            printSidecarReport(aSidecarReport);
+          }
+        });
+      }).then(function() {
+        const summary = counts.loaded + " loaded, " + counts.skipped + " skipped as already loaded, and " + counts.failed + " failed";
+        if (counts.failed > 0) {
+          console.error("ERROR: Not all JSON schema information could be loaded from '" + argv.directory + "' (" + summary + ")" + (argv.state ? " -- re-run with the same state file to resume." : "."));
+          process.exitCode = 1;
         }
+        return igcrest.closeSession().then(function() {
+          console.log("All JSON schema information processed from '" + argv.directory + "' (" + summary + ").");
+        }, function(failure) {
+          console.log("All JSON schema information processed from '" + argv.directory + "' (" + summary + "), but unable to close session: " + JSON.stringify(failure));
+        });
+      })
+      .catch(console.error);
 
+    });
+
+  });
+
+}
+
+// Run the provided function for every item, with at most the maximum number of concurrent requests (--concurrency)
+// outstanding at once -- the function must handle its own failures, so that every item is processed
+function runConcurrently(aItems, fn) {
+
+  let next = 0;
+  const runNext = function() {
+    if (next >= aItems.length) {
+      return Promise.resolve();
+    }
+    const item = aItems[next++];
+    return fn(item).then(runNext);
+  };
+  const aRunners = [];
+  for (let i = 0; i < Math.min(argv.concurrency, aItems.length); i++) {
+    aRunners.push(runNext());
+  }
+  return Promise.all(aRunners);
+
+}
+
+// Make the request(s) in the provided function, retrying after an exponentially increasing delay (from --backoff)
+// up to the maximum number of times (--retries) while it fails in a way that may only be transient
+function withRetries(description, fn) {
+
+  const attempt = function(retry) {
+    return fn().catch(function(failure) {
+      if (retry >= argv.retries || !isTransientFailure(failure)) {
+        throw failure;
+      }
+      const delay = argv.backoff * Math.pow(2, retry);
+      console.log("WARNING: " + description + " failed -- " + failure + " -- retrying in " + delay + "ms (" + (retry + 1) + " of " + argv.retries + ").");
+      return new Promise(function(resolve) {
+        setTimeout(resolve, delay);
+      }).then(function() {
+        return attempt(retry + 1);
       });
     });
+  };
+  return attempt(0);
+
+}
+
+// Determine whether the provided failure of a REST request may only be transient: the connection being lost or timing
+// out, or IGC responding that it is unavailable or overloaded (a 5xx or 429 status) -- by the status code of the
+// response or the code of the error, where these are given, and otherwise only by a status that the message labels as
+// such (so that any other number in the message, eg. within an id, is never mistaken for a status)
+function isTransientFailure(failure) {
+
+  const isTransientStatus = function(status) {
+    return (status >= 500 && status <= 599) || status === 429;
+  };
+  if (failure !== null && typeof failure === 'object') {
+    const status = failure.statusCode || failure.status;
+    if (typeof status === 'number') {
+      return isTransientStatus(status);
+    }
+    if (typeof failure.code === 'string') {
+      return [ 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN' ].indexOf(failure.code) !== -1;
+    }
+  }
+  const message = String(failure);
+  const labelled = (/\b(?:status(?:\s*code)?|HTTP(?:\/\d(?:\.\d)?)?)\s*[:=]?\s*(\d{3})\b/i).exec(message);
+  if (labelled !== null) {
+    return isTransientStatus(parseInt(labelled[1], 10));
+  }
+  return (/\b(?:ECONNRESET|ECONNREFUSED|ETIMEDOUT|ESOCKETTIMEDOUT|EPIPE|EAI_AGAIN)\b|socket hang up/i).test(message);
+
+}
+
+// Set each relationship mapped from an extension keyword (eg. assigning terms), now that the assets they are from exist
+// -- other than any already set, unless their schema has just been (re-)loaded
+function setExtensionRelationships(aRelationships, state, hmSchemaHashes, counts) {
 
-    Promise.all(igcCreationPromises).then(function() {
-      return Promise.all(igcUpdatePromises);
-    }).then(function() {
-      igcrest.closeSession().then(function() {
-        console.log("All JSON schema information loaded from '" + argv.directory + "'.");
-      }, function(failure) {
-        console.log("All JSON schema information loaded from '" + argv.directory + "', but unable to close session: " + JSON.stringify(failure));
+  return runConcurrently(aRelationships, function(relationship) {
+    const location = relationship.schema + relationship.path;
+    const key = location + " " + relationship.relationship;
+    const hash = igcjson.JSONSchemaLoadState.hash(JSON.stringify(relationship.rids) + hmSchemaHashes[relationship.schema]);
+    if (!state.isLoaded('schemas', relationship.schema, hmSchemaHashes[relationship.schema])) {
+      console.log("WARNING: Assets for '" + relationship.schema + "' were not loaded, so not setting " + relationship.relationship + " for: " + location);
+      return Promise.resolve();
+    } else if (state.isLoaded('relationships', key, hash)) {
+      console.log("Skipping -- already set " + relationship.relationship + " (" + location + ").");
+      counts.skipped++;
+      return Promise.resolve();
+    }
+    const description = "Setting " + relationship.relationship + " for '" + location + "'";
+    return withRetries(description, function() {
+      return igcSearch.findAssetRID(relationship.schema, relationship.path, relationship.type).then(function(rid) {
+        if (rid === null) {
+          return null;
+        }
+        const update = {};
+        update[relationship.relationship] = {
+          "items": relationship.rids
+        };
+        return igcrest.update(rid, update).then(function() {
+          return rid;
+        });
       });
-    })
-    .catch(console.error);
+    }).then(function(rid) {
+      if (rid === null) {
+        console.log("WARNING: Unable to find the asset for '" + location + "', so not setting its " + relationship.relationship + ".");
+        counts.failed++;
+      } else {
+        console.log("Successfully set " + relationship.relationship + " for: " + location);
+        state.markLoaded('relationships', key, hash);
+        counts.loaded++;
+      }
+    }, function(failure) {
+      console.log("ERROR: " + description + " failed -- " + failure);
+      counts.failed++;
+    });
+  });
+
+}
 
+// Assign the term of each side-car to the OpenIGC JSON Schema whose $id is the schema of the side-car, or to the
+// object at the JSON Pointer given as its fragment (and, where that schema was read here, which sits within the same
+// namespace and paths) -- other than those already assigned, unless their content has changed or their schema has
+// just been (re-)loaded; any side-car whose asset cannot be told apart from others with the same $id is left
+// unassigned, and reported (along with any whose asset cannot be found at all)
+function setSidecarRelationships(hmLoadedSchemas, state, counts, aReport) {
+
+  return runConcurrently(aSidecars, function(entry) {
+    const filename = entry.file;
+    const sidecar = entry.sidecar;
+    const local = findSidecarAsset(sidecar);
+    const hash = igcjson.JSONSchemaLoadState.hash(JSON.stringify(sidecar));
+    if (state.isLoaded('sidecars', filename, hash) && (local === null || !hmLoadedSchemas.hasOwnProperty(local.schema))) {
+      console.log("Skipping -- already loaded (" + filename + ").");
+      counts.skipped++;
+      return Promise.resolve();
+    }
+
+    const target = getSidecarTarget(sidecar);
+    if (local !== null) {
+      target.type = local.type;
+    }
+    const expectedContext = (local === null) ? null : local.context;
+
+    return withRetries("Updating relationships for '" + filename + "'", function() {
+      return igcSearch.findAssets(target.schemas, target.path, target.type).then(function(allAssets) {
+        const aMatches = allAssets.filter(function(igcAsset) {
+          return expectedContext === null || getContextPath(igcjson.JSONSchemaLineage.getContextForIGCAsset(igcAsset)) === expectedContext;
+        });
+        if (aMatches.length !== 1) {
+          return aMatches;
+        }
+        // Appended rather than replacing what the term is assigned to, as several side-cars can be for the same term
+        // (and are assigned concurrently)
+        const assetsToAssignToTerm = {
+          "assigned_assets": {
+            "items": [ aMatches[0]._id ],
+            "mode": "append"
+          }
+        };
+        return igcrest.update(sidecar._id, assetsToAssignToTerm).then(function() {
+          return aMatches;
+        });
+      });
+    }).then(function(aMatches) {
+      const aContexts = aMatches.map(function(igcAsset) {
+        return getContextPath(igcjson.JSONSchemaLineage.getContextForIGCAsset(igcAsset));
+      });
+      if (aMatches.length === 1) {
+        console.log("Successfully updated relationships for: " + filename);
+        state.markLoaded('sidecars', filename, hash);
+        counts.loaded++;
+        aReport.push({ "file": filename, "status": 'matched', "schema": sidecar._schema, "context": expectedContext, "assets": aContexts });
+      } else {
+        const status = (aMatches.length === 0) ? 'unmatched' : 'ambiguous';
+        console.log("WARNING: Not assigning the term for '" + filename + "', as " + aMatches.length + " assets in IGC match its schema.");
+        counts.failed++;
+        aReport.push({ "file": filename, "status": status, "schema": sidecar._schema, "context": expectedContext, "assets": aContexts });
+      }
+    }, function(failure) {
+      console.log("ERROR: Update failed for '" + filename + "' -- " + failure);
+      counts.failed++;
+    });
   });
 
-});
+}
+
+// Print the report of how each side-car was matched to a schema in IGC, detailing any that were unmatched or ambiguous
+function printSidecarReport(aReport) {
+
+  const hmCounts = { "matched": 0, "unmatched": 0, "ambiguous": 0 };
+  for (let i = 0; i < aReport.length; i++) {
+    hmCounts[aReport[i].status]++;
+  }
+  console.log("Side-cars: " + hmCounts.matched + " matched, " + hmCounts.unmatched + " unmatched and " + hmCounts.ambiguous + " ambiguous.");
+  for (let i = 0; i < aReport.length; i++) {
+    const entry = aReport[i];
+    if (entry.status === 'unmatched') {
+      const within = (entry.context === null) ? "" : " at " + entry.context;
+      console.log(" ... unmatched " + entry.file + ": no JSON Schema (or object within one) in IGC matching '" + entry.schema + "'" + within);
+    } else if (entry.status === 'ambiguous') {
+      console.log(" ... ambiguous " + entry.file + ": " + entry.assets.length + " assets in IGC matching '" + entry.schema + "' (" + entry.assets.join(', ') + ")");
+    }
+  }
+
+}
+
+// Read the previous version of the schemas, from either a directory of JSON Schema files or OpenIGC asset XML
+function readPreviousVersion(location, translationOptions, findOptions) {
+
+  const previousObj = new igcjson.JSONSchemaOpenIGC(Object.assign({}, translationOptions, { baseDirectory: location }));
+  if (fs.statSync(location).isDirectory()) {
+    const aFiles = igcjson.JSONSchemaOpenIGC.findFiles(location, findOptions);
+    for (let i = 0; i < aFiles.length; i++) {
+      if (['.json', '.yaml', '.yml'].indexOf(path.extname(aFiles[i])) !== -1) {
+        previousObj.readSchemaFromFile(location + path.sep + aFiles[i]);
+      }
+    }
+  } else {
+    const rebuilder = new igcjson.OpenIGCJSONSchema({ extensions: translationOptions.extensions });
+    rebuilder.readOpenIGCXMLFromFile(location);
+    const hmSchemas = rebuilder.getSchemas();
+    const aIds = Object.keys(hmSchemas);
+    for (let i = 0; i < aIds.length; i++) {
+      previousObj.readSchemaFromObject(hmSchemas[aIds[i]]);
+    }
+  }
+  return previousObj;
+
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Example automation to load the schemas of an OpenAPI (Swagger) document as JSON Schema OpenIGC assets
+ * @license Apache-2.0
+ * @requires ibm-iis-commons
+ * @requires ibm-igc-rest
+ * @requires pretty-data
+ * @requires yargs
+ * @requires prompt
+ * @param f {string} - OpenAPI 2.0 or 3.x document (JSON or YAML) from which to create IGC assets
+ * @param n {string} - namespace within which to scope the API's schemas
+ * @example
+ * // creates and loads IGC assets for every schema in petstore.yaml (and default credentials file in ~/.infosvrauth)
+ * ./loadOpenAPIDefinitions.js -f petstore.yaml
+ */
+
+const igcjson = require('../');
+const commons = require('ibm-iis-commons');
+const pd = require('pretty-data').pd;
+const igcrest = require('ibm-igc-rest');
+const prompt = require('prompt');
+prompt.colors = false;
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -f <path> -n <namespace> -a <authfile> -p <password>')
+    .example('$0 -f petstore.yaml', 'creates and loads OpenIGC assets for every schema in the OpenAPI document provided (and default credentials file in ~/.infosvrauth)')
+    .alias('f', 'file').nargs('f', 1).describe('f', 'OpenAPI 2.0 or 3.x document (JSON or YAML)')
+    .alias('n', 'namespace').nargs('n', 1).describe('n', 'A namespace within which to scope the API title and version')
+    .alias('a', 'authfile').nargs('a', 1).describe('a', 'Authorisation file containing environment context')
+    .alias('p', 'password').nargs('p', 1).describe('p', 'Password for invoking REST API')
+    .demandOption(['f'])
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+// Base settings
+const envCtx = new commons.EnvironmentContext(null, argv.authfile);
+
+prompt.override = argv;
+
+const inputPrompt = {
+  properties: {
+    password: {
+      hidden: true,
+      required: true,
+      message: "Please enter the password for user '" + envCtx.username + "': "
+    }
+  }
+};
+prompt.message = "";
+prompt.delimiter = "";
+
+// Translate the API before connecting, so that an invalid document fails fast
+const apiObj = new igcjson.OpenAPIOpenIGC(argv.namespace);
+const hmDiagnostics = apiObj.readAPIFromFile(argv.file);
+const aSchemaNames = Object.keys(hmDiagnostics);
+for (let i = 0; i < aSchemaNames.length; i++) {
+  const name = aSchemaNames[i];
+  for (let j = 0; j < hmDiagnostics[name].length; j++) {
+    console.log(" ... " + name + " " + igcjson.JSONSchemaOpenIGC.formatDiagnostic(hmDiagnostics[name][j]));
+  }
+}
+const aUnresolved = apiObj.getUnresolvedRefs();
+for (let i = 0; i < aUnresolved.length; i++) {
+  console.log("Unable to resolve $ref '" + aUnresolved[i].$ref + "' (of '" + aUnresolved[i].schema + aUnresolved[i].path + "').");
+}
+
+prompt.start();
+prompt.get(inputPrompt, function (errPrompt, result) {
+  igcrest.setConnection(envCtx.getRestConnection(result.password, 1));
+  igcrest.openSession().then(function() {
+    return igcrest.createBundleAssets(pd.xmlmin(apiObj.getOpenIGCXML()));
+  }).then(function(success) {
+    console.log("Assets created for " + apiObj.getSchemaIds().length + " schema(s) from: " + argv.file);
+    console.log(pd.json(JSON.stringify(success)));
+    return igcrest.closeSession();
+  }).catch(function(failure) {
+    console.error("ERROR: Creating assets for '" + argv.file + "' failed -- " + failure);
+  });
+});
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * @file Validates JSON documents against a JSON Schema, taken either from local files or from OpenIGC asset XML
+ * @license Apache-2.0
+ * @requires fs-extra
+ * @requires yargs
+ * @param i {string} - the id of the JSON Schema against which to validate
+ * @param f {string[]} - JSON (or newline-delimited JSON) file(s) containing the documents to validate
+ * @param s {string[]} - JSON Schema file(s) (JSON or YAML), including any that the schema references
+ * @param x {string} - OpenIGC asset XML file containing the JSON Schema assets
+ * @param ndjson {boolean} - treat every file as newline-delimited JSON (otherwise only .ndjson and .jsonl files are)
+ * @example
+ * // validates every event in events.ndjson against the schema with the id provided, rebuilt from AssetsToLoad.xml
+ * ./validateJSONInstances.js -i http://example.com/schemas/Event -f events.ndjson -x AssetsToLoad.xml
+ */
+
+const igcjson = require('../');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Command-line setup
+const yargs = require('yargs');
+const argv = yargs
+    .usage('Usage: $0 -i <id> -f <path>... [-s <path>...] [-x <path>]')
+    .example('$0 -i http://example.com/schemas/Event -f events.ndjson -x AssetsToLoad.xml', 'validates every document in events.ndjson against the schema, as rebuilt from the OpenIGC asset XML provided')
+    .alias('i', 'id').nargs('i', 1).describe('i', 'The id of the JSON Schema against which to validate')
+    .alias('f', 'file').array('f').describe('f', 'JSON (or newline-delimited JSON) file(s) containing the documents to validate')
+    .alias('s', 'schema').array('s').describe('s', 'JSON Schema file(s) (JSON or YAML), including any that the schema references')
+    .alias('x', 'xml').nargs('x', 1).describe('x', 'OpenIGC asset XML file containing the JSON Schema assets')
+    .boolean('ndjson').default('ndjson', false)
+    .describe('ndjson', 'Treat every file as newline-delimited JSON (otherwise only .ndjson and .jsonl files are)')
+    .demandOption(['i','f'])
+    .check(function(args) {
+      if (typeof args.schema === 'undefined' && typeof args.xml === 'undefined') {
+        throw new Error("Either a JSON Schema file (-s) or OpenIGC asset XML file (-x) is required");
+      }
+      return true;
+    })
+    .help('h')
+    .alias('h', 'help')
+    .wrap(yargs.terminalWidth())
+    .argv;
+
+const validator = new igcjson.JSONInstanceValidator();
+if (typeof argv.xml !== 'undefined') {
+  const rebuilder = new igcjson.OpenIGCJSONSchema();
+  rebuilder.readOpenIGCXMLFromFile(argv.xml);
+  const hmSchemas = rebuilder.getSchemas();
+  const aIds = Object.keys(hmSchemas);
+  for (let i = 0; i < aIds.length; i++) {
+    validator.addSchema(hmSchemas[aIds[i]]);
+  }
+}
+const aSchemaFiles = argv.schema || [];
+for (let i = 0; i < aSchemaFiles.length; i++) {
+  try {
+    validator.addSchemaFromFile(aSchemaFiles[i]);
+  } catch (e) {
+    console.log("Skipping -- unable to add schema (" + aSchemaFiles[i] + ").");
+    console.log(" ... " + igcjson.JSONSchemaOpenIGC.formatDiagnostic({ "code": 'unreadable-file', "severity": 'error', "location": "#", "message": e.message }));
+  }
+}
+if (validator.getSchemaIds().indexOf(argv.id) === -1) {
+  console.error("ERROR: No schema found with the id '" + argv.id + "' -- found: " + JSON.stringify(validator.getSchemaIds()));
+  process.exit(1);
+}
+
+let validCount = 0;
+let invalidCount = 0;
+let unvalidatedCount = 0;
+for (let i = 0; i < argv.file.length; i++) {
+  const filename = argv.file[i];
+  const ndjson = argv.ndjson || ['.ndjson', '.jsonl'].indexOf(path.extname(filename)) !== -1;
+  const aDocuments = igcjson.JSONInstanceValidator.parseDocuments(fs.readFileSync(filename, 'utf8'), ndjson);
+  for (let j = 0; j < aDocuments.length; j++) {
+    const location = filename + (ndjson ? ":" + aDocuments[j].line : "");
+    if (aDocuments[j].hasOwnProperty('error')) {
+      console.log("INVALID: " + location + " -- not JSON: " + aDocuments[j].error);
+      invalidCount++;
+    } else {
+      try {
+        const aErrors = validator.validate(argv.id, aDocuments[j].document);
+        if (aErrors.length === 0) {
+          console.log("Valid: " + location);
+          validCount++;
+        } else {
+          console.log("INVALID: " + location);
+          for (let k = 0; k < aErrors.length; k++) {
+            console.log(" ... " + igcjson.JSONSchemaOpenIGC.formatDiagnostic(aErrors[k]));
+          }
+          invalidCount++;
+        }
+      } catch (e) {
+        // (eg. the schema has a $ref that cannot be resolved, or that is to a schema of another draft)
+        console.log("ERROR: " + location + " -- could not be validated");
+        console.log(" ... " + igcjson.JSONSchemaOpenIGC.formatDiagnostic({ "code": 'unusable-schema', "severity": 'error', "location": "#", "message": e.message }));
+        unvalidatedCount++;
+      }
+    }
+  }
+}
+
+console.log("Validated " + (validCount + invalidCount) + " document(s) against '" + argv.id + "': " + validCount + " valid, " + invalidCount + " invalid" + ((unvalidatedCount > 0) ? " (and " + unvalidatedCount + " could not be validated)." : "."));
+if (invalidCount > 0 || unvalidatedCount > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,163 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const addFormats = require('ajv-formats');
+const JSONSchemaOpenIGC = require('./json-schema-open-igc');
+
+/**
+ * JSONInstanceValidator class -- for validating JSON documents (instances) against JSON Schemas
+ */
+class JSONInstanceValidator {
+
+  /**
+   * Initialises an (empty) set of JSON Schemas against which to validate documents
+   *
+   * @function
+   */
+  constructor() {
+    this._schemasById = {};
+    this._ajvByDraft = {};
+  }
+
+  /**
+   * Add a JSON Schema against which documents can be validated, or which is referenced by another that is
+   * @param {Object} jsSchema - the JSON Schema definition
+   * @throws {Error} if the schema has no id
+   */
+  addSchema(jsSchema) {
+    const draft = JSONSchemaOpenIGC.getDraft(jsSchema.$schema);
+    const id = jsSchema[JSONSchemaOpenIGC.getIdKeyword(draft)] || jsSchema.id || jsSchema.$id;
+    if (typeof id === 'undefined') {
+      throw new Error("Unable to add a schema without an id: " + (jsSchema.title || JSON.stringify(jsSchema).substring(0, 50)));
+    }
+    this._schemasById[id] = { "draft": draft, "schema": jsSchema };
+    // (any validation context already created for the draft no longer has all of its schemas)
+    delete this._ajvByDraft[draft];
+  }
+
+  /**
+   * Add the JSON Schema in the provided file (YAML if the file has a .yaml or .yml extension, otherwise JSON)
+   * @param {string} filename - the name of the file containing the JSON Schema definition
+   */
+  addSchemaFromFile(filename) {
+    this.addSchema(JSONSchemaOpenIGC.parseString(fs.readFileSync(filename, 'utf8'), JSONSchemaOpenIGC.getFormatForFile(filename)));
+  }
+
+  /**
+   * Get the ids of the JSON Schemas added
+   * @return {string[]}
+   */
+  getSchemaIds() {
+    return Object.keys(this._schemasById);
+  }
+
+  /**
+   * Validate a JSON document against a JSON Schema
+   * @param {string} schemaId - the id of the JSON Schema
+   * @param {*} instance - the (parsed) JSON document
+   * @return {Object[]} an array of diagnostics: an 'invalid-instance' error for each way in which the document is invalid, located by a JSON Pointer within the document (so empty if the document is valid)
+   * @throws {Error} if there is no JSON Schema with the id, or it cannot be used for validation
+   */
+  validate(schemaId, instance) {
+    if (!this._schemasById.hasOwnProperty(schemaId)) {
+      throw new Error("No schema has been added with the id: " + schemaId);
+    }
+    const draft = this._schemasById[schemaId].draft;
+    let validator = null;
+    try {
+      validator = this._getAjv(draft).getSchema(schemaId);
+    } catch (e) {
+      // (eg. where the schema has a $ref to a schema that has not been added, or to one of another draft -- as each
+      // draft is validated in a context of its own, a $ref can only be resolved between schemas of the same draft)
+      const referenced = this._schemasById[e.missingSchema] || this._schemasById[e.missingSchema + '#'];
+      const reason = (typeof referenced !== 'undefined' && referenced.draft !== draft) ? " (as it is a " + referenced.draft + " schema, it cannot be referenced from a " + draft + " schema)" : "";
+      throw new Error("Unable to validate against schema '" + schemaId + "': " + e.message + reason);
+    }
+    const aDiagnostics = [];
+    if (!validator(instance)) {
+      for (let i = 0; i < validator.errors.length; i++) {
+        const error = validator.errors[i];
+        aDiagnostics.push({
+          "code": 'invalid-instance',
+          "severity": 'error',
+          "schema": schemaId,
+          "location": "#" + error.instancePath,
+          "message": error.message + " (" + error.schemaPath + ")"
+        });
+      }
+    }
+    return aDiagnostics;
+  }
+
+  /**
+   * Parse the JSON documents in the provided content: either a single document, or newline-delimited JSON (NDJSON)
+   * with one document per (non-empty) line
+   * @param {string} content - the content to parse
+   * @param {boolean} [ndjson] - true if the content is newline-delimited JSON
+   * @return {Object[]} an array with an object for each document, with its 'line' (1 for a single document) and either its parsed 'document' or an 'error' from parsing it
+   */
+  static parseDocuments(content, ndjson) {
+    const aLines = ndjson ? content.split(/\r?\n/) : [ content ];
+    const aDocuments = [];
+    for (let i = 0; i < aLines.length; i++) {
+      if (aLines[i].trim() !== '') {
+        try {
+          aDocuments.push({ "line": i + 1, "document": JSON.parse(aLines[i]) });
+        } catch (e) {
+          aDocuments.push({ "line": i + 1, "error": e.message });
+        }
+      }
+    }
+    return aDocuments;
+  }
+
+  /**
+   * Get the validation context for a draft, including every schema of that draft that has been added (so that
+   * any $ref between them resolves, though not any $ref to a schema of another draft, which is in a context of its own)
+   * @private
+   */
+  _getAjv(draft) {
+    if (!this._ajvByDraft.hasOwnProperty(draft)) {
+      // Not strict, as schemas commonly carry keywords beyond those of JSON Schema itself (xml, example, x-...)
+      const ajv = JSONSchemaOpenIGC.createAjv(draft, { strict: false });
+      if (ajv === null) {
+        throw new Error("Unable to validate against a " + draft + " schema");
+      }
+      addFormats(ajv);
+      const aIds = Object.keys(this._schemasById);
+      for (let i = 0; i < aIds.length; i++) {
+        if (this._schemasById[aIds[i]].draft === draft) {
+          // (without its $schema, which may be one of the generic URIs that only identify the draft loosely,
+          // and with its id under the draft's own keyword, as it is translated)
+          const schema = Object.assign({}, this._schemasById[aIds[i]].schema);
+          delete schema.$schema;
+          delete schema.id;
+          delete schema.$id;
+          schema[JSONSchemaOpenIGC.getIdKeyword(draft)] = aIds[i];
+          ajv.addSchema(schema);
+        }
+      }
+      this._ajvByDraft[draft] = ajv;
+    }
+    return this._ajvByDraft[draft];
+  }
+
+}
+
+module.exports = JSONInstanceValidator;
@@ -0,0 +1,668 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+// The OpenIGC bundle's classes and their attributes, from which both the bundle itself (the asset type descriptor
+// and its labels) and the attributes the translation can populate are derived.  Each attribute is a String that is
+// not multi-valued unless stated; a 'boolean' is a boolean in JSON Schema (but a String in the bundle), an
+// 'extension' is only ever populated from an extension keyword (see JSONSchemaOpenIGC.validateExtensionMapping),
+// and a 'reference' is a reference to an asset of one of the classes listed (rather than an attribute with a value).
+const classes = [
+  {
+    "localId": 'CommonObject',
+    "label": 'Properties',
+    "pluralLabel": 'Properties',
+    "dataAccessRole": 'None',
+    "containerClassRefs": [ 'JSNamespace', 'JSPath', 'JSchema', 'JSObject', 'JSArray', 'JSPrimitive', 'JSBranch' ],
+    "comment": 'NOTE: CommonObject is the superclass definition of all the properties any sub-object can have',
+    "headerSection": [
+      { "localId": 'id', "label": 'Id' },
+      { "localId": 'title', "label": 'Title', "comment": 'Only where the (sub-)schema has a title of its own (its name being derived otherwise)' },
+      { "localId": 'booleanSchema', "label": 'Boolean Schema', "boolean": true, "comment": 'Only where the (sub-)schema is given as a boolean: true to allow any value, false to allow none' },
+      { "localId": 'format', "label": 'Format', "comment": 'Per OpenAPI documentation, while this has some pre-known types (int32, binary, etc) it should be open valued (so not enumerating valid values)' },
+      { "localId": 'default', "type": 'LongText', "label": 'Default', "comment": 'As JSON: the default value' },
+      { "localId": 'enum', "multiValued": true, "label": 'Enumeration', "comment": 'Each as JSON: the values allowed' },
+      { "localId": 'readOnly', "label": 'Read-Only', "boolean": true },
+      { "localId": 'nullable', "label": 'Nullable', "boolean": true },
+      { "localId": 'types', "multiValued": true, "label": 'Types', "comment": 'The full list of types, where more than one is allowed (the \'type\' attribute then being the first other than null)' },
+      { "localId": 'example', "type": 'LongText', "label": 'Example' },
+      { "localId": 'examples', "type": 'LongText', "label": 'Examples', "comment": 'As JSON: the array of examples' },
+      { "localId": 'const', "type": 'LongText', "label": 'Constant', "comment": 'As JSON: the only value allowed' },
+      { "localId": 'comment', "type": 'LongText', "label": 'Comment', "comment": 'The $comment (for maintainers of the schema, rather than its users)' },
+      { "localId": 'ref', "label": 'Reference to' },
+      { "localId": 'refTarget', "label": 'Referenced Asset', "reference": [ 'JSchema', 'JSObject', 'JSArray', 'JSPrimitive', 'JSBranch' ], "comment": 'The asset the $ref resolves to, wherever that is amongst the schemas loaded' }
+    ],
+    "sections": [
+      {
+        "key": 'XMLDetails',
+        "label": 'XML Details',
+        "comment": [ 'https://github.com/OAI/OpenAPI-Specification/blob/master/versions/2.0.md#xmlObject', 'for these properties, we cannot use the root object in IGC, because it\'s already used:', '- name = \'xml_name\' in IGC' ],
+        "attributes": [
+          { "localId": 'xml_name', "label": 'Element Name' },
+          { "localId": 'xml_namespace', "label": 'Namespace' },
+          { "localId": 'xml_prefix', "label": 'Prefix' },
+          { "localId": 'xml_attribute', "label": 'Attribute', "boolean": true },
+          { "localId": 'xml_wrapped', "label": 'Wrapped', "boolean": true }
+        ]
+      },
+      {
+        "key": 'GovernanceDetails',
+        "label": 'Governance Details',
+        "comment": [ 'Populated from extension keywords (eg. x-owner), as mapped when loading the schemas' ],
+        "attributes": [
+          { "localId": 'owner', "label": 'Owner', "extension": true },
+          { "localId": 'pii', "label": 'Personally Identifiable Information', "extension": true, "comment": 'Should be a boolean, but doing so forces a default "False" to appear in the UI' },
+          { "localId": 'retention', "label": 'Retention', "extension": true }
+        ]
+      }
+    ]
+  },
+  {
+    "localId": 'JSNamespace',
+    "label": 'JSON Schema Namespace',
+    "pluralLabel": 'JSON Schema Namespaces',
+    "dataAccessRole": 'None'
+  },
+  {
+    "localId": 'JSPath',
+    "label": 'JSON Schema Path',
+    "pluralLabel": 'JSON Schema Paths',
+    "dataAccessRole": 'None',
+    "containerClassRefs": [ 'JSNamespace', 'JSPath' ]
+  },
+  {
+    "localId": 'JSchema',
+    "label": 'JSON Schema',
+    "pluralLabel": 'JSON Schemas',
+    "dataAccessRole": 'Both',
+    "superClassRef": 'CommonObject',
+    "headerSection": [
+      { "localId": 'schema', "label": 'Schema' },
+      { "localId": 'draft', "label": 'Draft', "comment": 'The draft detected from the $schema, according to which keywords like exclusiveMaximum were normalised', "validValues": [
+        { "localId": 'draft-03', "label": 'draft-03' },
+        { "localId": 'draft-04', "label": 'draft-04' },
+        { "localId": 'draft-06', "label": 'draft-06' },
+        { "localId": 'draft-07', "label": 'draft-07' },
+        { "localId": '2019-09', "label": '2019-09' },
+        { "localId": '2020-12', "label": '2020-12' }
+      ] },
+      { "localId": 'type', "label": 'Type' },
+      { "localId": 'discriminator', "label": 'Discriminator', "comment": 'The property name (as in OpenAPI 2), or as JSON where it is an object (as in OpenAPI 3)' },
+      { "localId": 'maxProperties', "type": 'Integer', "label": 'Maximum Properties' },
+      { "localId": 'minProperties', "type": 'Integer', "label": 'Minimum Properties' },
+      { "localId": 'required', "multiValued": true, "label": 'Required', "comment": 'The properties of the schema itself (where it is an object) that are required' },
+      { "localId": 'additionalProperties', "label": 'Additional Properties', "boolean": true },
+      { "localId": 'dependentRequired', "type": 'LongText', "label": 'Dependent Required' }
+    ],
+    "sections": [
+      {
+        "key": 'ArrayDetails',
+        "label": 'Array Details',
+        "comment": [ 'A schema can itself be an array or primitive (rather than an object), so can have any of their details as well' ],
+        "attributes": [
+          { "localId": 'maxItems', "type": 'Integer', "label": 'Maximum Items' },
+          { "localId": 'minItems', "type": 'Integer', "label": 'Minimum Items' },
+          { "localId": 'uniqueItems', "label": 'Unique Items', "boolean": true },
+          { "localId": 'additionalItems', "label": 'Additional Items', "boolean": true },
+          { "localId": 'maxContains', "type": 'Integer', "label": 'Maximum Contains' },
+          { "localId": 'minContains', "type": 'Integer', "label": 'Minimum Contains' }
+        ]
+      },
+      {
+        "key": 'NumericDetails',
+        "label": 'Numeric Details',
+        "attributes": [
+          { "localId": 'multipleOf', "type": 'Double', "label": 'Multiple Of' },
+          { "localId": 'maximum', "type": 'Double', "label": 'Maximum' },
+          { "localId": 'exclusiveMaximum', "label": 'Exclusive Maximum', "boolean": true },
+          { "localId": 'minimum', "type": 'Double', "label": 'Minimum' },
+          { "localId": 'exclusiveMinimum', "label": 'Exclusive Minimum', "boolean": true }
+        ]
+      },
+      {
+        "key": 'StringDetails',
+        "label": 'String Details',
+        "attributes": [
+          { "localId": 'maxLength', "type": 'Integer', "label": 'Maximum Length' },
+          { "localId": 'minLength', "type": 'Integer', "label": 'Minimum Length' },
+          { "localId": 'pattern', "label": 'Pattern' }
+        ]
+      }
+    ]
+  },
+  {
+    "localId": 'JSObject',
+    "label": 'JSON Object',
+    "pluralLabel": 'JSON Objects',
+    "dataAccessRole": 'Both',
+    "superClassRef": 'CommonObject',
+    "headerSection": [
+      { "localId": 'type', "label": 'Type', "comment": 'Only present when the object is explicitly typed (not for objects that are only a $ref, for example)' },
+      { "localId": 'discriminator', "label": 'discriminator' },
+      { "localId": 'maxProperties', "type": 'Integer', "label": 'Maximum Properties' },
+      { "localId": 'minProperties', "type": 'Integer', "label": 'Minimum Properties' },
+      { "localId": 'required', "multiValued": true, "label": 'Required' },
+      { "localId": 'additionalProperties', "label": 'Additional Properties', "boolean": true, "comment": 'Only captured where given as a boolean: any schema for additional properties is captured as a child of the object' },
+      { "localId": 'dependentRequired', "type": 'LongText', "label": 'Dependent Required', "comment": 'As JSON: the properties required by the presence of each other property' }
+    ]
+  },
+  {
+    "localId": 'JSPrimitive',
+    "label": 'JSON Primitive',
+    "pluralLabel": 'JSON Primitives',
+    "dataAccessRole": 'Both',
+    "superClassRef": 'CommonObject',
+    "headerSection": [
+      { "localId": 'type', "label": 'Type', "comment": 'According to specification the type could be an array of values (https://tools.ietf.org/html/draft-fge-json-schema-validation-00)', "validValues": [
+        { "localId": 'boolean', "label": 'boolean' },
+        { "localId": 'integer', "label": 'integer' },
+        { "localId": 'number', "label": 'number' },
+        { "localId": 'null', "label": 'null' },
+        { "localId": 'string', "label": 'string' }
+      ] }
+    ],
+    "sections": [
+      {
+        "key": 'NumericDetails',
+        "label": 'Numeric Details',
+        "attributes": [
+          { "localId": 'multipleOf', "type": 'Double', "label": 'Multiple Of' },
+          { "localId": 'maximum', "type": 'Double', "label": 'Maximum' },
+          { "localId": 'exclusiveMaximum', "label": 'Exclusive Maximum', "boolean": true },
+          { "localId": 'minimum', "type": 'Double', "label": 'Minimum' },
+          { "localId": 'exclusiveMinimum', "label": 'Exclusive Minimum', "boolean": true }
+        ]
+      },
+      {
+        "key": 'StringDetails',
+        "label": 'String Details',
+        "attributes": [
+          { "localId": 'maxLength', "type": 'Integer', "label": 'Maximum Length' },
+          { "localId": 'minLength', "type": 'Integer', "label": 'Minimum Length' },
+          { "localId": 'pattern', "label": 'Pattern' }
+        ]
+      }
+    ]
+  },
+  {
+    "localId": 'JSArray',
+    "label": 'JSON Array',
+    "pluralLabel": 'JSON Arrays',
+    "dataAccessRole": 'Both',
+    "superClassRef": 'CommonObject',
+    "headerSection": [
+      { "localId": 'type', "label": 'Type' },
+      { "localId": 'maxItems', "type": 'Integer', "label": 'Maximum Items' },
+      { "localId": 'minItems', "type": 'Integer', "label": 'Minimum Items' },
+      { "localId": 'uniqueItems', "label": 'Unique Items', "boolean": true },
+      { "localId": 'additionalItems', "label": 'Additional Items', "boolean": true, "comment": 'Only captured where given as a boolean: any schema for additional items is captured as a child of the array' },
+      { "localId": 'maxContains', "type": 'Integer', "label": 'Maximum Contains' },
+      { "localId": 'minContains', "type": 'Integer', "label": 'Minimum Contains' }
+    ]
+  },
+  {
+    "localId": 'JSComposition',
+    "label": 'JSON Schema Composition',
+    "pluralLabel": 'JSON Schema Compositions',
+    "dataAccessRole": 'None',
+    "superClassRef": 'CommonObject',
+    "comment": 'allOf / anyOf / oneOf / not: the composition itself, with each of its sub-schemas as a JSBranch within it',
+    "headerSection": [
+      { "localId": 'keyword', "label": 'Keyword', "validValues": [
+        { "localId": 'allOf', "label": 'all of' },
+        { "localId": 'anyOf', "label": 'any of' },
+        { "localId": 'oneOf', "label": 'one of' },
+        { "localId": 'not', "label": 'not' }
+      ] }
+    ]
+  },
+  {
+    "localId": 'JSConditional',
+    "label": 'JSON Schema Conditional',
+    "pluralLabel": 'JSON Schema Conditionals',
+    "dataAccessRole": 'None',
+    "superClassRef": 'CommonObject',
+    "comment": 'if / then / else: the condition itself, with each of the (sub-)schemas given for it as a JSBranch within it'
+  },
+  {
+    "localId": 'JSBranch',
+    "label": 'JSON Schema Branch',
+    "pluralLabel": 'JSON Schema Branches',
+    "dataAccessRole": 'None',
+    "superClassRef": 'CommonObject',
+    "containerClassRefs": [ 'JSComposition', 'JSConditional' ],
+    "headerSection": [
+      { "localId": 'type', "label": 'Type' }
+    ],
+    "sections": [
+      {
+        "key": 'ObjectDetails',
+        "label": 'Object Details',
+        "comment": [ 'A branch can be a (sub-)schema of any type, so can have any of the details of an object, array or primitive' ],
+        "attributes": [
+          { "localId": 'discriminator', "label": 'Discriminator' },
+          { "localId": 'maxProperties', "type": 'Integer', "label": 'Maximum Properties' },
+          { "localId": 'minProperties', "type": 'Integer', "label": 'Minimum Properties' },
+          { "localId": 'required', "multiValued": true, "label": 'Required' },
+          { "localId": 'additionalProperties', "label": 'Additional Properties', "boolean": true },
+          { "localId": 'dependentRequired', "type": 'LongText', "label": 'Dependent Required' }
+        ]
+      },
+      {
+        "key": 'ArrayDetails',
+        "label": 'Array Details',
+        "attributes": [
+          { "localId": 'maxItems', "type": 'Integer', "label": 'Maximum Items' },
+          { "localId": 'minItems', "type": 'Integer', "label": 'Minimum Items' },
+          { "localId": 'uniqueItems', "label": 'Unique Items', "boolean": true },
+          { "localId": 'additionalItems', "label": 'Additional Items', "boolean": true },
+          { "localId": 'maxContains', "type": 'Integer', "label": 'Maximum Contains' },
+          { "localId": 'minContains', "type": 'Integer', "label": 'Minimum Contains' }
+        ]
+      },
+      {
+        "key": 'NumericDetails',
+        "label": 'Numeric Details',
+        "attributes": [
+          { "localId": 'multipleOf', "type": 'Double', "label": 'Multiple Of' },
+          { "localId": 'maximum', "type": 'Double', "label": 'Maximum' },
+          { "localId": 'exclusiveMaximum', "label": 'Exclusive Maximum', "boolean": true },
+          { "localId": 'minimum', "type": 'Double', "label": 'Minimum' },
+          { "localId": 'exclusiveMinimum', "label": 'Exclusive Minimum', "boolean": true }
+        ]
+      },
+      {
+        "key": 'StringDetails',
+        "label": 'String Details',
+        "attributes": [
+          { "localId": 'maxLength', "type": 'Integer', "label": 'Maximum Length' },
+          { "localId": 'minLength', "type": 'Integer', "label": 'Minimum Length' },
+          { "localId": 'pattern', "label": 'Pattern' }
+        ]
+      }
+    ]
+  }
+];
+
+const bundleId = 'JSON_Schema';
+const family = {
+  "position": 2,
+  "key": 'family1',
+  "label": 'JSON Schemas',
+  "classRefs": [ 'JSNamespace', 'JSPath', 'JSchema', 'JSObject', 'JSArray', 'JSPrimitive', 'JSComposition', 'JSConditional', 'JSBranch' ]
+};
+const tree = { "position": 3, "key": 'tree1', "label": 'JSON Schemas', "rootClassRefs": [ 'JSNamespace' ], "iconClassRef": 'JSchema' };
+const descriptorComment = [
+  ' * Copyright 2017 IBM Corp. All Rights Reserved.',
+  ' *',
+  ' * Licensed under the Apache License, Version 2.0 (the "License");',
+  ' * you may not use this file except in compliance with the License.',
+  ' * You may obtain a copy of the License at',
+  ' *',
+  ' *      http://www.apache.org/licenses/LICENSE-2.0',
+  ' *',
+  ' * Unless required by applicable law or agreed to in writing, software',
+  ' * distributed under the License is distributed on an "AS IS" BASIS,',
+  ' * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.',
+  ' * See the License for the specific language governing permissions and',
+  ' * limitations under the License.',
+  '',
+  ' Based on definitions from https://github.com/OAI/OpenAPI-Specification/blob/master/versions/2.0.md',
+  ' with the following deviations:',
+  ' - title = name in IGC',
+  ' - description = long_description in IGC',
+  ' This file is generated from js/classes/json-schema-bundle.js (see js/bin/generateOpenIGCBundle.js): edit that instead'
+];
+const booleanComment = 'Should be a boolean, but doing so forces a default "False" to appear in the UI';
+
+/**
+ * JSONSchemaBundle class -- the model of the JSON Schema OpenIGC bundle
+ */
+class JSONSchemaBundle {
+
+  /**
+   * Get the id of the bundle
+   * @return {string}
+   */
+  static getBundleId() {
+    return bundleId;
+  }
+
+  /**
+   * Get the (local) ids of the classes of the bundle
+   * @return {string[]}
+   */
+  static getClassIds() {
+    return classes.map(function(cls) {
+      return cls.localId;
+    });
+  }
+
+  /**
+   * Get the attributes of a class of the bundle, including those it inherits (first)
+   * @param {string} classId - the local id of the class (eg. JSObject)
+   * @return {Object[]} an array of objects, each with the 'localId', 'type', 'multiValued' and 'label' of an attribute, whether it is a 'boolean' or an 'extension', and the classes it is a 'reference' to (null unless it is a reference); or null if there is no such class
+   */
+  static getAttributes(classId) {
+    const cls = JSONSchemaBundle._getClass(classId);
+    if (cls === null) {
+      return null;
+    }
+    const aInherited = cls.hasOwnProperty('superClassRef') ? (JSONSchemaBundle.getAttributes(cls.superClassRef) || []) : [];
+    return aInherited.concat(JSONSchemaBundle._getOwnAttributes(cls).map(function(attr) {
+      return {
+        "localId": attr.localId,
+        "type": attr.type || 'String',
+        "multiValued": (attr.multiValued === true),
+        "label": attr.label,
+        "boolean": (attr.boolean === true),
+        "extension": (attr.extension === true),
+        "reference": attr.reference || null
+      };
+    }));
+  }
+
+  /**
+   * Get the attributes that the translation of JSON Schema keywords can populate for a class of the bundle:
+   * those IGC itself provides for every asset, and (prefixed by '$') every attribute of the class that is
+   * not only populated from extension keywords (nor a reference, which is set from a resolved $ref instead)
+   * @param {string} classId - the local id of the class (eg. JSObject)
+   * @return {string[]} the attributes, or null if there is no such class
+   */
+  static getKnownIGCAttributes(classId) {
+    const aAttributes = JSONSchemaBundle.getAttributes(classId);
+    if (aAttributes === null) {
+      return null;
+    }
+    return [ 'name', 'short_description' ].concat(aAttributes.filter(function(attr) {
+      return !attr.extension && attr.reference === null;
+    }).map(function(attr) {
+      return '$' + attr.localId;
+    }));
+  }
+
+  /**
+   * Get the name by which an asset is related, in the asset XML, to the asset referenced by its $ref
+   * @return {string}
+   */
+  static getRefTargetReference() {
+    return '$refTarget';
+  }
+
+  /**
+   * Get the attributes (of any class) that are numeric in the bundle
+   * @return {string[]}
+   */
+  static getNumericAttributes() {
+    return JSONSchemaBundle._getAttributeIds(function(attr) {
+      return attr.type === 'Integer' || attr.type === 'Double';
+    });
+  }
+
+  /**
+   * Get the attributes (of any class) that are booleans in JSON Schema, but strings in the bundle
+   * @return {string[]}
+   */
+  static getBooleanAttributes() {
+    return JSONSchemaBundle._getAttributeIds(function(attr) {
+      return attr.boolean;
+    });
+  }
+
+  /**
+   * Check that the model of the bundle is consistent: that every class referred to (including by a reference) is defined, that no class
+   * has the same attribute more than once (including those it inherits), that every boolean is a String, and
+   * that no label key is given different labels
+   * @return {string[]} a description of each inconsistency found (so empty if there are none)
+   */
+  static checkConsistency() {
+    const aProblems = [];
+    const aClassIds = JSONSchemaBundle.getClassIds();
+    const checkRefs = function(aRefs, context) {
+      for (let i = 0; i < aRefs.length; i++) {
+        if (aClassIds.indexOf(aRefs[i]) === -1) {
+          aProblems.push(context + " refers to an undefined class: " + aRefs[i]);
+        }
+      }
+    };
+    checkRefs(family.classRefs, "The family");
+    checkRefs(tree.rootClassRefs.concat([ tree.iconClassRef ]), "The tree");
+    for (let i = 0; i < classes.length; i++) {
+      const cls = classes[i];
+      if (aClassIds.indexOf(cls.localId) !== i) {
+        aProblems.push("Class " + cls.localId + " is defined more than once");
+      }
+      checkRefs((cls.superClassRef ? [ cls.superClassRef ] : []).concat(cls.containerClassRefs || []), "Class " + cls.localId);
+      const aAttributes = JSONSchemaBundle.getAttributes(cls.localId);
+      const aAttributeIds = [];
+      for (let j = 0; j < aAttributes.length; j++) {
+        if (aAttributeIds.indexOf(aAttributes[j].localId) !== -1) {
+          aProblems.push("Class " + cls.localId + " has attribute " + aAttributes[j].localId + " more than once");
+        }
+        aAttributeIds.push(aAttributes[j].localId);
+        if (aAttributes[j].boolean && aAttributes[j].type !== 'String') {
+          aProblems.push("Class " + cls.localId + " has boolean attribute " + aAttributes[j].localId + " that is not a String");
+        }
+        if (aAttributes[j].reference !== null) {
+          checkRefs(aAttributes[j].reference, "Class " + cls.localId + " reference " + aAttributes[j].localId);
+        }
+      }
+    }
+    const hmLabels = {};
+    const aLabels = JSONSchemaBundle._getLabels();
+    for (let i = 0; i < aLabels.length; i++) {
+      if (hmLabels.hasOwnProperty(aLabels[i].key) && hmLabels[aLabels[i].key] !== aLabels[i].label) {
+        aProblems.push("Label " + aLabels[i].key + " is given different labels: '" + hmLabels[aLabels[i].key] + "' and '" + aLabels[i].label + "'");
+      }
+      hmLabels[aLabels[i].key] = aLabels[i].label;
+    }
+    return aProblems;
+  }
+
+  /**
+   * Get the asset type descriptor of the bundle (asset_type_descriptor.xml)
+   * @return {string}
+   */
+  static getDescriptorXML() {
+    const esc = JSONSchemaBundle._escapeXML;
+    const aLines = [ '<?xml version="1.0" encoding="UTF-8"?>', '<!--' ].concat(descriptorComment, [ '-->' ]);
+    aLines.push('<descriptor xmlns="http://www.ibm.com/iis/igc/asset-type-descriptor" bundleId="' + bundleId + '">');
+    aLines.push('  <family position="' + family.position + '" classRefs="' + family.classRefs.join(',') + '">');
+    aLines.push('    <label key="' + family.key + '" inDefaultLocale="' + esc(family.label) + '"/>');
+    aLines.push('  </family>');
+    aLines.push('  <tree position="' + tree.position + '" rootClassRefs="' + tree.rootClassRefs.join(',') + '" iconClassRef="' + tree.iconClassRef + '">');
+    aLines.push('    <label key="' + tree.key + '" inDefaultLocale="' + esc(tree.label) + '"/>');
+    aLines.push('  </tree>');
+    for (let i = 0; i < classes.length; i++) {
+      const cls = classes[i];
+      if (cls.hasOwnProperty('comment')) {
+        aLines.push('  <!-- ' + cls.comment + ' -->');
+      }
+      let element = '  <class localId="' + cls.localId + '" dataAccessRole="' + cls.dataAccessRole + '" canHaveImage="false"';
+      if (cls.hasOwnProperty('superClassRef')) {
+        element += ' superClassRef="' + cls.superClassRef + '"';
+      }
+      if (cls.hasOwnProperty('containerClassRefs')) {
+        element += ' containerClassRefs="' + cls.containerClassRefs.join(',') + '"';
+      }
+      aLines.push(element + '>');
+      aLines.push('    <label key="class.' + cls.localId + '" inDefaultLocale="' + esc(cls.label) + '"/>');
+      aLines.push('    <pluralLabel key="class-plural.' + cls.localId + '" inDefaultLocale="' + esc(cls.pluralLabel) + '"/>');
+      const keyPrefix = JSONSchemaBundle._getKeyPrefix(cls);
+      if (cls.hasOwnProperty('headerSection')) {
+        aLines.push('    <headerSection>');
+        Array.prototype.push.apply(aLines, JSONSchemaBundle._getAttributesXML(cls.headerSection, keyPrefix));
+        aLines.push('    </headerSection>');
+      }
+      const aSections = cls.sections || [];
+      for (let j = 0; j < aSections.length; j++) {
+        aLines.push('    <section>');
+        const aComments = aSections[j].comment || [];
+        for (let k = 0; k < aComments.length; k++) {
+          aLines.push('      <!-- ' + aComments[k] + ' -->');
+        }
+        aLines.push('      <label key="section.' + keyPrefix + '.' + aSections[j].key + '" inDefaultLocale="' + esc(aSections[j].label) + '"/>');
+        Array.prototype.push.apply(aLines, JSONSchemaBundle._getAttributesXML(aSections[j].attributes, keyPrefix));
+        aLines.push('    </section>');
+      }
+      aLines.push('  </class>');
+    }
+    aLines.push('</descriptor>');
+    return aLines.join('\n') + '\n';
+  }
+
+  /**
+   * Get the (default locale) labels of the bundle (i18n/labels.properties)
+   * @return {string}
+   */
+  static getLabelsProperties() {
+    const aLabels = JSONSchemaBundle._getLabels();
+    const aPlurals = [];
+    const aLines = [];
+    const hmDone = {};
+    for (let i = 0; i < aLabels.length; i++) {
+      if (!hmDone.hasOwnProperty(aLabels[i].key)) {
+        hmDone[aLabels[i].key] = true;
+        const line = aLabels[i].key + "=" + aLabels[i].label;
+        if (aLabels[i].key.indexOf('class-plural.') === 0) {
+          aPlurals.push(line);
+        } else {
+          aLines.push(line);
+        }
+      }
+    }
+    return aLines.concat(aPlurals).join('\n') + '\n';
+  }
+
+  /**
+   * @private
+   */
+  static _getClass(classId) {
+    for (let i = 0; i < classes.length; i++) {
+      if (classes[i].localId === classId) {
+        return classes[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static _getOwnAttributes(cls) {
+    let aAttributes = (cls.headerSection || []).slice();
+    const aSections = cls.sections || [];
+    for (let i = 0; i < aSections.length; i++) {
+      aAttributes = aAttributes.concat(aSections[i].attributes);
+    }
+    return aAttributes;
+  }
+
+  /**
+   * Get the (unique) local ids of the attributes of every class that match the provided filter
+   * @private
+   */
+  static _getAttributeIds(filter) {
+    const aIds = [];
+    for (let i = 0; i < classes.length; i++) {
+      const aAttributes = JSONSchemaBundle.getAttributes(classes[i].localId).filter(filter);
+      for (let j = 0; j < aAttributes.length; j++) {
+        if (aIds.indexOf(aAttributes[j].localId) === -1) {
+          aIds.push(aAttributes[j].localId);
+        }
+      }
+    }
+    return aIds;
+  }
+
+  /**
+   * The prefix of the label keys for the attributes and sections of a class (CommonObject's being 'Object')
+   * @private
+   */
+  static _getKeyPrefix(cls) {
+    return (cls.localId === 'CommonObject') ? 'Object' : cls.localId;
+  }
+
+  /**
+   * Get every label of the bundle, in the order they appear in the descriptor
+   * @private
+   */
+  static _getLabels() {
+    const aLabels = [ { "key": family.key, "label": family.label }, { "key": tree.key, "label": tree.label } ];
+    const addAttributeLabels = function(aAttributes, keyPrefix) {
+      for (let i = 0; i < aAttributes.length; i++) {
+        aLabels.push({ "key": 'attr.' + keyPrefix + '.' + aAttributes[i].localId, "label": aAttributes[i].label });
+        const aValidValues = aAttributes[i].validValues || [];
+        for (let j = 0; j < aValidValues.length; j++) {
+          aLabels.push({ "key": 'enum.' + aAttributes[i].localId + '.' + aValidValues[j].localId, "label": aValidValues[j].label });
+        }
+      }
+    };
+    for (let i = 0; i < classes.length; i++) {
+      const cls = classes[i];
+      const keyPrefix = JSONSchemaBundle._getKeyPrefix(cls);
+      aLabels.push({ "key": 'class.' + cls.localId, "label": cls.label });
+      aLabels.push({ "key": 'class-plural.' + cls.localId, "label": cls.pluralLabel });
+      addAttributeLabels(cls.headerSection || [], keyPrefix);
+      const aSections = cls.sections || [];
+      for (let j = 0; j < aSections.length; j++) {
+        aLabels.push({ "key": 'section.' + keyPrefix + '.' + aSections[j].key, "label": aSections[j].label });
+        addAttributeLabels(aSections[j].attributes, keyPrefix);
+      }
+    }
+    return aLabels;
+  }
+
+  /**
+   * @private
+   */
+  static _getAttributesXML(aAttributes, keyPrefix) {
+    const esc = JSONSchemaBundle._escapeXML;
+    const aLines = [];
+    for (let i = 0; i < aAttributes.length; i++) {
+      const attr = aAttributes[i];
+      if (attr.hasOwnProperty('comment')) {
+        aLines.push('      <!-- ' + attr.comment + ' -->');
+      } else if (attr.boolean) {
+        aLines.push('      <!-- ' + booleanComment + ' -->');
+      }
+      // (a reference is to the assets of the classes given, rather than of a type of value)
+      const element = attr.hasOwnProperty('reference') ? 'reference' : 'attribute';
+      const typing = attr.hasOwnProperty('reference') ? 'targetClassRefs="' + attr.reference.join(',') + '"' : 'type="' + (attr.type || 'String') + '"';
+      aLines.push('      <' + element + ' localId="' + attr.localId + '" ' + typing + ' editable="false" multiValued="' + (attr.multiValued === true) + '">');
+      aLines.push('        <label key="attr.' + keyPrefix + '.' + attr.localId + '" inDefaultLocale="' + esc(attr.label) + '" />');
+      const aValidValues = attr.validValues || [];
+      for (let j = 0; j < aValidValues.length; j++) {
+        aLines.push('        <validValue localId="' + aValidValues[j].localId + '">');
+        aLines.push('          <label key="enum.' + attr.localId + '.' + aValidValues[j].localId + '" inDefaultLocale="' + esc(aValidValues[j].label) + '" />');
+        aLines.push('        </validValue>');
+      }
+      aLines.push('      </' + element + '>');
+    }
+    return aLines;
+  }
+
+  /**
+   * @private
+   */
+  static _escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+}
+
+module.exports = JSONSchemaBundle;
@@ -0,0 +1,267 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+/**
+ * JSONSchemaDiff class -- for comparing two versions of JSON Schema(s) as they are represented in OpenIGC,
+ * and loading only what has changed between them
+ */
+class JSONSchemaDiff {
+
+  /**
+   * Compares the schemas read by two JSONSchemaOpenIGC objects: the previous version and the new version
+   * (each schema being matched up with its previous version by its id, and each asset within it by its JSON Pointer)
+   *
+   * @function
+   * @param {JSONSchemaOpenIGC} previous - the object that read the previous version of the schema(s)
+   * @param {JSONSchemaOpenIGC} current - the object that read the new version of the schema(s)
+   */
+  constructor(previous, current) {
+    this._previous = previous;
+    this._current = current;
+    this._changes = null;
+  }
+
+  /**
+   * Get the types of change into which the differences are classified
+   * @return {string[]}
+   */
+  static getChangeTypes() {
+    return [ 'added', 'removed', 'type-changed', 'constraint-changed' ];
+  }
+
+  /**
+   * Get the attributes that determine the type of an asset (any other attribute that changes is a
+   * constraint-changed, including annotations like the description)
+   * @return {string[]}
+   */
+  static getTypeAttributes() {
+    return [ '$type', '$types' ];
+  }
+
+  /**
+   * Get the changes from the previous to the new version of the schema(s) -- where an asset is added or removed,
+   * only that asset is reported (and not everything within it)
+   * @return {Object[]} an array of objects, each with the 'change' (see getChangeTypes), the 'schema' and 'path' (JSON Pointer) of the asset, its 'type' (eg. JSObject) and, for a constraint-changed or type-changed, the 'attributes' that changed
+   */
+  getChanges() {
+    if (this._changes === null) {
+      this._changes = [];
+      const aCurrentIds = this._current.getSchemaIds();
+      for (let i = 0; i < aCurrentIds.length; i++) {
+        Array.prototype.push.apply(this._changes, this._compareSchema(aCurrentIds[i]));
+      }
+      const aPreviousIds = this._previous.getSchemaIds();
+      for (let i = 0; i < aPreviousIds.length; i++) {
+        if (aCurrentIds.indexOf(aPreviousIds[i]) === -1) {
+          const root = this._previous.getAssets(aPreviousIds[i])[0];
+          this._changes.push(JSONSchemaDiff._createChange('removed', aPreviousIds[i], '#', root));
+        }
+      }
+    }
+    return this._changes;
+  }
+
+  /**
+   * Get the OpenIGC asset XML that applies the changes: each added asset is created, each changed asset is
+   * updated (replacing all of its attributes), and each removed asset is deleted by replacing what is within the
+   * asset that contained it -- only a schema that has been removed entirely cannot be deleted this way (as whatever
+   * contains it may contain other schemas), so it must be deleted from IGC directly
+   * @return {string} the XML, or null if there are no changes that can be applied
+   */
+  getOpenIGCXML() {
+
+    const hmComplete = {};
+    const aChanges = this.getChanges();
+    for (let i = 0; i < aChanges.length; i++) {
+      const change = aChanges[i];
+      const previous = this._getAssetsByPath(this._previous, change.schema);
+      const current = this._getAssetsByPath(this._current, change.schema);
+      if (change.change === 'added') {
+        hmComplete[current[change.path].id] = true;
+      } else if (change.change === 'removed' && change.path !== '#') {
+        hmComplete[this._getSurvivingContainerId(previous, current, change.path)] = true;
+      } else if (change.change === 'type-changed' && current[change.path].type !== previous[change.path].type) {
+        // (an asset of a different type is a different asset, so the previous one has to be removed as well)
+        hmComplete[this._getSurvivingContainerId(previous, current, change.path)] = true;
+      } else if (change.change !== 'removed') {
+        hmComplete[current[change.path].id] = true;
+      }
+    }
+
+    const aCompleteIds = Object.keys(hmComplete);
+    if (aCompleteIds.length === 0) {
+      return null;
+    }
+    return this._current.getOpenIGCXMLForAssets(aCompleteIds);
+
+  }
+
+  /**
+   * Compare the new version of a schema with its previous version (if any)
+   * @private
+   */
+  _compareSchema(schemaId) {
+
+    const aChanges = [];
+    const current = this._getAssetsByPath(this._current, schemaId);
+    if (this._previous.getAssets(schemaId) === null) {
+      aChanges.push(JSONSchemaDiff._createChange('added', schemaId, '#', current['#']));
+      return aChanges;
+    }
+    const previous = this._getAssetsByPath(this._previous, schemaId);
+
+    const aCurrentAssets = this._current.getAssets(schemaId);
+    for (let i = 0; i < aCurrentAssets.length; i++) {
+      const path = JSONSchemaDiff._getPath(aCurrentAssets[i]);
+      if (!previous.hasOwnProperty(path)) {
+        if (!JSONSchemaDiff._isWithinChange(current, previous, aCurrentAssets[i])) {
+          aChanges.push(JSONSchemaDiff._createChange('added', schemaId, path, aCurrentAssets[i]));
+        }
+      } else {
+        const change = JSONSchemaDiff._compareAssets(previous[path], aCurrentAssets[i]);
+        if (change !== null) {
+          aChanges.push(JSONSchemaDiff._createChange(change.change, schemaId, path, aCurrentAssets[i], change.attributes));
+        }
+      }
+    }
+    const aPreviousAssets = this._previous.getAssets(schemaId);
+    for (let i = 0; i < aPreviousAssets.length; i++) {
+      const path = JSONSchemaDiff._getPath(aPreviousAssets[i]);
+      if (!current.hasOwnProperty(path) && !JSONSchemaDiff._isWithinChange(previous, current, aPreviousAssets[i])) {
+        aChanges.push(JSONSchemaDiff._createChange('removed', schemaId, path, aPreviousAssets[i]));
+      }
+    }
+    return aChanges;
+
+  }
+
+  /**
+   * Classify the difference (if any) between the previous and new version of an asset at the same path
+   * @private
+   */
+  static _compareAssets(previousAsset, currentAsset) {
+    const aTypeAttributes = JSONSchemaDiff.getTypeAttributes();
+    const aChanged = [];
+    let typeChanged = (previousAsset.type !== currentAsset.type);
+    const aNames = Object.keys(previousAsset.attributes);
+    const aCurrentNames = Object.keys(currentAsset.attributes);
+    for (let i = 0; i < aCurrentNames.length; i++) {
+      if (aNames.indexOf(aCurrentNames[i]) === -1) {
+        aNames.push(aCurrentNames[i]);
+      }
+    }
+    aNames.sort();
+    for (let i = 0; i < aNames.length; i++) {
+      const name = aNames[i];
+      if (name !== '$id' && JSON.stringify(previousAsset.attributes[name]) !== JSON.stringify(currentAsset.attributes[name])) {
+        aChanged.push(name);
+        if (aTypeAttributes.indexOf(name) !== -1) {
+          typeChanged = true;
+        }
+      }
+    }
+    if (typeChanged) {
+      return { "change": 'type-changed', "attributes": aChanged };
+    } else if (aChanged.length > 0) {
+      return { "change": 'constraint-changed', "attributes": aChanged };
+    }
+    return null;
+  }
+
+  /**
+   * Indicates whether an asset that is only in one of the versions is within another asset that is also only
+   * in that version (in which case it is added or removed along with that asset, rather than as a change of its own)
+   * @private
+   */
+  static _isWithinChange(hmAssets, hmOtherAssets, asset) {
+    const parent = JSONSchemaDiff._getParent(hmAssets, asset);
+    return parent !== null && !hmOtherAssets.hasOwnProperty(JSONSchemaDiff._getPath(parent));
+  }
+
+  /**
+   * Find the ID (in the new version) of the closest asset containing the provided path in the previous version
+   * that is still in the new version
+   * @private
+   */
+  _getSurvivingContainerId(hmPrevious, hmCurrent, path) {
+    let parent = JSONSchemaDiff._getParent(hmPrevious, hmPrevious[path]);
+    while (parent !== null && !hmCurrent.hasOwnProperty(JSONSchemaDiff._getPath(parent))) {
+      parent = JSONSchemaDiff._getParent(hmPrevious, parent);
+    }
+    return (parent === null) ? hmCurrent['#'].id : hmCurrent[JSONSchemaDiff._getPath(parent)].id;
+  }
+
+  /**
+   * Get the assets of a schema, keyed by their JSON Pointer within it (which the translation keeps unique, even for
+   * the conditionals and compositions that have no pointer of their own; should any pointer still be repeated, the
+   * first asset with it is kept, as for JSONSchemaOpenIGC.getAssetContext)
+   * @private
+   */
+  _getAssetsByPath(handler, schemaId) {
+    const hmAssets = {};
+    const aAssets = handler.getAssets(schemaId) || [];
+    for (let i = 0; i < aAssets.length; i++) {
+      const path = JSONSchemaDiff._getPath(aAssets[i]);
+      if (!hmAssets.hasOwnProperty(path)) {
+        hmAssets[path] = aAssets[i];
+      }
+    }
+    return hmAssets;
+  }
+
+  /**
+   * Get the asset that contains the one provided (within the same schema), or null for the schema itself
+   * @private
+   */
+  static _getParent(hmAssets, asset) {
+    const aPaths = Object.keys(hmAssets);
+    for (let i = 0; i < aPaths.length; i++) {
+      if (hmAssets[aPaths[i]].id === asset.parentId) {
+        return hmAssets[aPaths[i]];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the JSON Pointer of an asset within its schema (the schema itself carrying its own id instead)
+   * @private
+   */
+  static _getPath(asset) {
+    return (asset.type === '$JSON_Schema-JSchema') ? '#' : asset.attributes.$id;
+  }
+
+  /**
+   * @private
+   */
+  static _createChange(change, schemaId, path, asset, aAttributes) {
+    const result = {
+      "change": change,
+      "schema": schemaId,
+      "path": path,
+      "type": asset.type.substring(asset.type.indexOf('-') + 1)
+    };
+    if (typeof aAttributes !== 'undefined') {
+      result.attributes = aAttributes;
+    }
+    return result;
+  }
+
+}
+
+module.exports = JSONSchemaDiff;
@@ -0,0 +1,148 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const JSONSchemaLineage = require('./json-schema-lineage');
+
+/**
+ * JSONSchemaIGCSearch class -- for finding the JSON Schema assets (and the assets related to them) that are already
+ * in IGC, through its REST API
+ */
+class JSONSchemaIGCSearch {
+
+  /**
+   * Initialises the searches against IGC
+   *
+   * @function
+   * @param {Object} igcrest - the ibm-igc-rest module, with its connection already set
+   */
+  constructor(igcrest) {
+    this._igcrest = igcrest;
+  }
+
+  /**
+   * Find the JSON Schemas with any of the provided ids, or the assets at the provided path ($id) within any of them
+   * (as the same path can appear within any number of schemas, only those within one of these schemas will do)
+   * @param {string[]} aSchemaIds - the ids of the schemas
+   * @param {string} assetPath - the JSON Pointer of the assets within the schemas ('#' for the schemas themselves)
+   * @param {string} [assetType] - the type of the assets (eg. JSObject), where they are not the schemas themselves
+   * @return {Promise} resolving to an array of the assets found, each with its '_id', 'name', '$id' and '_context'
+   */
+  findAssets(aSchemaIds, assetPath, assetType) {
+
+    const igcrest = this._igcrest;
+    const qGetSchemas = {
+      "types": [ "$JSON_Schema-JSchema" ],
+      "properties": [ "name", "$id" ],
+      "where": {
+        "conditions": aSchemaIds.map(function(schemaId) {
+          return {
+            "property": "$id",
+            "operator": "=",
+            "value": schemaId
+          };
+        }),
+        "operator": "or"
+      },
+      "pageSize": 100
+    };
+    const pSchemas = igcrest.search(qGetSchemas).then(function(res) {
+      return igcrest.getAllPages(res.items, res.paging);
+    });
+    if (assetPath === '#') {
+      return pSchemas;
+    }
+
+    return pSchemas.then(function(allSchemas) {
+      if (allSchemas.length === 0) {
+        return [];
+      }
+      const aSchemaRIDs = allSchemas.map(function(igcSchema) {
+        return igcSchema._id;
+      });
+      const qGetAssets = {
+        "types": [ "$JSON_Schema-" + assetType ],
+        "properties": [ "name", "$id" ],
+        "where": {
+          "conditions": [{
+            "property": "$id",
+            "operator": "=",
+            "value": assetPath
+          }],
+          "operator": "and"
+        },
+        "pageSize": 100
+      };
+      return igcrest.search(qGetAssets).then(function(res) {
+        return igcrest.getAllPages(res.items, res.paging);
+      }).then(function(allAssets) {
+        return allAssets.filter(function(igcAsset) {
+          const aContext = igcAsset._context || [];
+          for (let i = 0; i < aContext.length; i++) {
+            if (aSchemaRIDs.indexOf(aContext[i]._id) !== -1) {
+              return true;
+            }
+          }
+          return false;
+        });
+      });
+    });
+
+  }
+
+  /**
+   * Find the RID of the asset at the provided path ($id) within the schema with the provided id
+   * @param {string} schemaId - the id of the schema
+   * @param {string} assetPath - the JSON Pointer of the asset within the schema ('#' for the schema itself)
+   * @param {string} [assetType] - the type of the asset (eg. JSObject), where it is not the schema itself
+   * @return {Promise} resolving to the RID, or null if there is no such asset
+   */
+  findAssetRID(schemaId, assetPath, assetType) {
+    return this.findAssets([ schemaId ], assetPath, assetType).then(function(allAssets) {
+      return (allAssets.length === 0) ? null : allAssets[0]._id;
+    });
+  }
+
+  /**
+   * Find the context of the asset with the provided RID, as used to identify it in flow XML (see
+   * JSONSchemaLineage.getContextForIGCAsset)
+   * @param {string} rid - the RID of the asset
+   * @param {string[]} aTypes - the types of asset it could be (eg. design_table)
+   * @return {Promise} resolving to the context, or null if there is no asset of those types with the RID
+   */
+  findAssetContext(rid, aTypes) {
+    const qGetAsset = {
+      "types": aTypes,
+      "properties": [ "name" ],
+      "where": {
+        "conditions": [{
+          "property": "_id",
+          "operator": "=",
+          "value": rid
+        }],
+        "operator": "and"
+      },
+      "pageSize": 10
+    };
+    return this._igcrest.search(qGetAsset).then(function(res) {
+      return (res.items.length === 0) ? null : JSONSchemaLineage.getContextForIGCAsset(res.items[0]);
+    });
+  }
+
+}
+
+module.exports = JSONSchemaIGCSearch;
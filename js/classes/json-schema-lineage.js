@@ -0,0 +1,195 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const crypto = require('crypto');
+
+/**
+ * JSONSchemaLineage class -- for generating OpenIGC flow (lineage) XML from the assets that JSON Schema assets were
+ * generated from (eg. design tables and columns, or Kafka topics) into the JSON Schema assets themselves
+ */
+class JSONSchemaLineage {
+
+  /**
+   * Initialises the lineage for the schemas read by a JSONSchemaOpenIGC object, from the relationships mapped from
+   * extension keywords with 'lineage' (see JSONSchemaOpenIGC.validateExtensionMapping)
+   *
+   * @function
+   * @param {JSONSchemaOpenIGC} handler - the object that read the schemas
+   */
+  constructor(handler) {
+    this._handler = handler;
+    this._flows = handler.getRelationships().filter(function(relationship) {
+      return relationship.lineage;
+    });
+    this._sourcesByRID = {};
+  }
+
+  /**
+   * Get the RIDs of all of the assets from which data flows into the JSON Schema assets, each of which needs
+   * to be identified (see addSource) for its flows to be included
+   * @return {string[]}
+   */
+  getSourceRIDs() {
+    const aRIDs = [];
+    for (let i = 0; i < this._flows.length; i++) {
+      for (let j = 0; j < this._flows[i].rids.length; j++) {
+        if (aRIDs.indexOf(this._flows[i].rids[j]) === -1) {
+          aRIDs.push(this._flows[i].rids[j]);
+        }
+      }
+    }
+    return aRIDs;
+  }
+
+  /**
+   * Identify an asset from which data flows, by the assets containing it (as IGC must find it by these, rather
+   * than its RID)
+   * @param {string} rid - the RID of the asset
+   * @param {Object[]} aContext - an array of objects, each with the 'type' (eg. design_table) and 'name' of an asset, from the outermost asset containing it down to the asset itself
+   */
+  addSource(rid, aContext) {
+    this._sourcesByRID[rid] = aContext;
+  }
+
+  /**
+   * Convert the details of an asset retrieved through the IGC REST API (including its _context) into the
+   * context needed to identify it (see addSource)
+   * @param {Object} igcAsset - the asset, with its '_type', '_name' and '_context'
+   * @return {Object[]}
+   */
+  static getContextForIGCAsset(igcAsset) {
+    const aContext = (igcAsset._context || []).map(function(container) {
+      return { "type": container._type, "name": container._name };
+    });
+    aContext.push({ "type": igcAsset._type, "name": igcAsset._name });
+    return aContext;
+  }
+
+  /**
+   * Get the RIDs of any assets from which data flows that have not been identified (so whose flows are left out)
+   * @return {string[]}
+   */
+  getUnidentifiedSourceRIDs() {
+    return this.getSourceRIDs().filter(function(rid) {
+      return !this._sourcesByRID.hasOwnProperty(rid);
+    }, this);
+  }
+
+  /**
+   * Get the OpenIGC flow XML, with a flow from each (identified) source asset into each JSON Schema asset, grouped
+   * into a flow unit for each schema
+   * @return {string} the XML, or null if there are no flows
+   */
+  getOpenIGCFlowXML() {
+
+    const hmAssetXML = {};
+    const aAssetIds = [];
+    const hmSubFlowsBySchema = {};
+    const aSchemaIds = [];
+    const self = this;
+    const addContext = function(aContext) {
+      let parentId = null;
+      let parentType = null;
+      let identity = "";
+      for (let i = 0; i < aContext.length; i++) {
+        identity += "/" + aContext[i].type + ":" + aContext[i].name;
+        const id = self._mapIdentityToId(identity);
+        if (!hmAssetXML.hasOwnProperty(id)) {
+          aAssetIds.push(id);
+          hmAssetXML[id] = JSONSchemaLineage._getAssetXML(aContext[i], id, parentType, parentId);
+        }
+        parentId = id;
+        parentType = aContext[i].type;
+      }
+      return parentId;
+    };
+
+    for (let i = 0; i < this._flows.length; i++) {
+      const flow = this._flows[i];
+      const aSourceIds = [];
+      for (let j = 0; j < flow.rids.length; j++) {
+        if (this._sourcesByRID.hasOwnProperty(flow.rids[j])) {
+          aSourceIds.push(addContext(this._sourcesByRID[flow.rids[j]]));
+        }
+      }
+      if (aSourceIds.length > 0) {
+        const targetId = addContext(this._handler.getAssetContext(flow.schema, flow.path));
+        if (!hmSubFlowsBySchema.hasOwnProperty(flow.schema)) {
+          aSchemaIds.push(flow.schema);
+          hmSubFlowsBySchema[flow.schema] = { "unitId": addContext(this._handler.getAssetContext(flow.schema, '#')), "subFlows": [] };
+        }
+        hmSubFlowsBySchema[flow.schema].subFlows.push('<subFlow sourceIDs="' + aSourceIds.join(' ') + '" targetIDs="' + targetId + '" comment="' + JSONSchemaLineage._escapeXML(flow.schema + flow.path) + '"/>');
+      }
+    }
+    if (aSchemaIds.length === 0) {
+      return null;
+    }
+
+    let xml = '<doc xmlns="http://www.ibm.com/iis/flow-doc"><assets>';
+    for (let i = 0; i < aAssetIds.length; i++) {
+      xml += hmAssetXML[aAssetIds[i]];
+    }
+    xml += '</assets><flowUnits>';
+    for (let i = 0; i < aSchemaIds.length; i++) {
+      const unit = hmSubFlowsBySchema[aSchemaIds[i]];
+      xml += '<flowUnit assetID="' + unit.unitId + '"><subFlows>' + unit.subFlows.join('') + '</subFlows></flowUnit>';
+    }
+    return xml + '</flowUnits></doc>';
+
+  }
+
+  /**
+   * Get the ID for an asset in the flow XML, derived from its context so that the same asset always has the same ID
+   * @private
+   */
+  _mapIdentityToId(identity) {
+    return "xf" + crypto.createHash('sha1').update(identity).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * @private
+   */
+  static _getAssetXML(asset, id, parentType, parentId) {
+    const name = JSONSchemaLineage._escapeXML(asset.name);
+    let xml = '<asset class="' + asset.type + '" repr="' + name + '" ID="' + id + '">';
+    xml += '<attribute name="name" value="' + name + '"/>';
+    if (parentId !== null) {
+      xml += '<reference name="' + JSONSchemaLineage._getReferenceName(parentType) + '" assetIDs="' + parentId + '"/>';
+    }
+    return xml + '</asset>';
+  }
+
+  /**
+   * Get the name by which an asset refers to its container of the provided type: the type itself for those
+   * native to IGC (eg. design_table), and only the class for those of an OpenIGC bundle (eg. $JSchema)
+   * @private
+   */
+  static _getReferenceName(type) {
+    return (type.indexOf('$') === 0 && type.indexOf('-') !== -1) ? '$' + type.substring(type.indexOf('-') + 1) : type;
+  }
+
+  /**
+   * @private
+   */
+  static _escapeXML(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+}
+
+module.exports = JSONSchemaLineage;
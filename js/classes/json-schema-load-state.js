@@ -0,0 +1,113 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * JSONSchemaLoadState class -- for keeping track of what has already been loaded into IGC (and from which content),
+ * so that a load that fails part-way through can be resumed rather than started over
+ */
+class JSONSchemaLoadState {
+
+  /**
+   * Initialises the state, from the provided file where it already exists (a file that cannot be parsed, eg. because
+   * it was truncated, is warned about and the state started over, rather than blocking every later run)
+   *
+   * @function
+   * @param {string} [filename] - the file in which to keep the state (if not provided, it is only kept in memory)
+   */
+  constructor(filename) {
+    this._filename = filename;
+    this._state = {};
+    const aKinds = JSONSchemaLoadState.getKinds();
+    let previous = {};
+    if (typeof filename !== 'undefined' && fs.existsSync(filename)) {
+      try {
+        previous = JSON.parse(fs.readFileSync(filename, 'utf8'));
+      } catch (err) {
+        console.log("WARNING: Unable to parse the state in '" + filename + "', so starting over without it -- " + err.message);
+      }
+      if (typeof previous !== 'object' || previous === null) {
+        previous = {};
+      }
+    }
+    for (let i = 0; i < aKinds.length; i++) {
+      this._state[aKinds[i]] = previous[aKinds[i]] || {};
+    }
+  }
+
+  /**
+   * Get the kinds of things whose loading is kept track of: the schemas (by id), the side-cars (by file) and the
+   * relationships mapped from extension keywords (by the location of the keyword and the relationship)
+   * @return {string[]}
+   */
+  static getKinds() {
+    return [ 'schemas', 'sidecars', 'relationships' ];
+  }
+
+  /**
+   * Get the hash by which the content that was loaded is recognised
+   * @param {string} content - the content that was loaded (eg. the XML for a schema)
+   * @return {string}
+   */
+  static hash(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Indicates whether the provided content has already been loaded
+   * @param {string} kind - the kind of thing loaded (see getKinds)
+   * @param {string} key - the key of the thing within its kind (eg. the id of a schema)
+   * @param {string} hash - the hash of its content (see hash)
+   * @return {boolean}
+   */
+  isLoaded(kind, key, hash) {
+    return this._state[kind].hasOwnProperty(key) && this._state[kind][key].hash === hash;
+  }
+
+  /**
+   * Record that the provided content has been loaded, saving the state straight away (so that it is kept even if
+   * the load fails later on)
+   * @param {string} kind - the kind of thing loaded (see getKinds)
+   * @param {string} key - the key of the thing within its kind (eg. the id of a schema)
+   * @param {string} hash - the hash of its content (see hash)
+   */
+  markLoaded(kind, key, hash) {
+    this._state[kind][key] = {
+      "hash": hash,
+      "loaded": new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Save the state into its file (if it has one): written to a temporary file alongside it first, and only then
+   * renamed over it, so that a run interrupted part-way through saving never leaves a partially written file
+   */
+  save() {
+    if (typeof this._filename !== 'undefined') {
+      const tmpFilename = this._filename + "." + process.pid + ".tmp";
+      fs.writeFileSync(tmpFilename, JSON.stringify(this._state, null, 2) + "\n", 'utf8');
+      fs.renameSync(tmpFilename, this._filename);
+    }
+  }
+
+}
+
+module.exports = JSONSchemaLoadState;
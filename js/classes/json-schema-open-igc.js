@@ -18,7 +18,20 @@
 
 const igcext = require('ibm-igc-extensions');
 const fs = require('fs');
+const url = require('url');
+const crypto = require('crypto');
+const path = require('path');
+const yaml = require('js-yaml');
 const pd = require('pretty-data').pd;
+const minimatch = require('minimatch');
+const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
+const AjvDraft04 = require('ajv-draft-04');
+const JSONSchemaBundle = require('./json-schema-bundle');
+
+// Validators for each draft's meta-schema, created only as they are first needed
+const metaSchemaValidators = {};
 
 /**
  * JSONSchemaOpenIGC class -- for handling JSON Schema OpenIGC representation
@@ -26,142 +39,1195 @@ const pd = require('pretty-data').pd;
 class JSONSchemaOpenIGC {
 
   /**
-   * Initialises a JSON Schema object for OpenIGC
-   *
-   * @function
+   * Initialises a JSON Schema object for OpenIGC
+   *
+   * @function
+   * @param {Object} [options] - options for the translation
+   * @param {string} [options.mode] - 'strict' (the default) to consider any warning as preventing a schema from being loaded, or 'lenient' to consider only errors as doing so
+   * @param {string} [options.identity] - how to identify each schema within IGC (see getIdentityModes): 'schema' (the default) uses the schema's own id where it has one, 'file' the namespace and file name, and 'path' the namespace, directory (relative to the base directory) and file name
+   * @param {string} [options.namespace] - the base namespace for any identity that is derived rather than taken from the schema (defaults to 'local')
+   * @param {string} [options.baseDirectory] - the directory against which a schema file's directory is made relative for the 'path' identity (defaults to the current working directory)
+   * @param {Object} [options.extensions] - a mapping of extension keywords (x-...) to IGC attributes or relationships (see validateExtensionMapping)
+   * @param {boolean} [options.validate] - false to skip validating each schema against the meta-schema for its draft (validated by default)
+   * @param {boolean} [options.force] - true to allow a schema that is not valid against its meta-schema to be loaded regardless
+   */
+  constructor(options) {
+    this._options = options || {};
+    this._mode = this._options.mode || 'strict';
+    this._identity = this._options.identity || 'schema';
+    this._namespace = this._options.namespace || 'local';
+    this._baseDirectory = this._options.baseDirectory || process.cwd();
+    this._extensions = JSONSchemaOpenIGC.validateExtensionMapping(this._options.extensions || {});
+    this._validate = (this._options.validate !== false);
+    this._force = (this._options.force === true);
+    this._relationships = [];
+    this._diagnostics = [];
+    this._schemaDiagnostics = [];
+    // Assets are kept per schema (and the namespaces and paths containing them separately, as these are
+    // shared between schemas), so that any number of schemas can be combined into one or more XML payloads
+    this._schemas = [];
+    this._schemasById = {};
+    this._currentSchema = null;
+    this._hierarchyAssets = {};
+    this._assetArgsById = {};
+    this._objectIdentitiesToIds = {};
+    this._schemaId = "";
+    this._draft = JSONSchemaOpenIGC.getDefaultDraft();
+    this._refTargets = {};
+    this._refTargetSchemaIds = {};
+    this._refs = [];
+  }
+
+  /**
+   * Get the OpenIGC asset type from the JSON Schema object type
+   * @param {string} schemaType - the JSON Schema object type (eg. string, object, array, etc)
+   * @return {string}
+   */
+  static getIGCTypeForSchemaType(schemaType) {
+    // A list of types (eg. [ "string", "null" ]) is translated by its most structured member, so that any properties
+    // or items of an object or array are still contained within it
+    if (Array.isArray(schemaType)) {
+      const aIGCTypes = schemaType.map(JSONSchemaOpenIGC.getIGCTypeForSchemaType);
+      if (aIGCTypes.length === 0 || aIGCTypes.indexOf(null) !== -1) {
+        return null;
+      }
+      const aPreferred = [ 'JSObject', 'JSArray', 'JSPrimitive' ];
+      for (let i = 0; i < aPreferred.length; i++) {
+        if (aIGCTypes.indexOf(aPreferred[i]) !== -1) {
+          return aPreferred[i];
+        }
+      }
+    }
+    const _igcToSchemaTypes = {
+      "object": "JSObject",
+      "array": "JSArray",
+      "string": "JSPrimitive",
+      "integer": "JSPrimitive",
+      "number": "JSPrimitive",
+      "boolean": "JSPrimitive",
+      "null": "JSPrimitive"
+    };
+    return _igcToSchemaTypes.hasOwnProperty(schemaType) ? _igcToSchemaTypes[schemaType] : null;
+  }
+
+  /**
+   * Get the type by which to describe a schema that allows a list of types: its first type other than 'null'
+   * (or 'null' itself, if that is the only type)
+   * @param {string|string[]} schemaType - the JSON Schema type(s)
+   * @return {string}
+   */
+  static getPrimaryType(schemaType) {
+    const aTypes = [].concat(schemaType);
+    for (let i = 0; i < aTypes.length; i++) {
+      if (aTypes[i] !== 'null') {
+        return aTypes[i];
+      }
+    }
+    return aTypes[0];
+  }
+
+  /**
+   * Get the list of known attributes for a given OpenIGC asset type (as defined by the bundle's model)
+   * @param {string} igcType - the OpenIGC asset type
+   * @return {string[]}
+   */
+  static getKnownIGCAttributes(igcType) {
+    return JSONSchemaBundle.getKnownIGCAttributes(igcType);
+  }
+
+  /**
+   * Get the severities of diagnostics, from least to most severe
+   * @return {string[]}
+   */
+  static getSeverities() {
+    return [ 'info', 'warning', 'error' ];
+  }
+
+  /**
+   * Indicates whether a set of diagnostics allows a schema to be loaded, under the provided mode
+   * @param {Object[]} aDiagnostics - the diagnostics for the schema
+   * @param {string} mode - 'strict' if any warning or error prevents loading, or 'lenient' if only an error does
+   * @return {boolean}
+   */
+  static isLoadable(aDiagnostics, mode) {
+    const aSeverities = JSONSchemaOpenIGC.getSeverities();
+    const minimumBlocking = aSeverities.indexOf((mode === 'lenient') ? 'error' : 'warning');
+    for (let i = 0; i < aDiagnostics.length; i++) {
+      if (aSeverities.indexOf(aDiagnostics[i].severity) >= minimumBlocking) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get the ways in which the identity of a schema within IGC can be determined
+   * @return {string[]}
+   */
+  static getIdentityModes() {
+    return [ 'schema', 'file', 'path' ];
+  }
+
+  /**
+   * Escape a name (eg. of a property) for use as a single token of a JSON Pointer (RFC 6901)
+   * @param {string} token
+   * @return {string}
+   */
+  static escapePointerToken(token) {
+    return ("" + token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Get the default maximum size (in characters) of each XML payload when splitting schemas into several
+   * @return {number}
+   */
+  static getDefaultChunkSize() {
+    return 2 * 1024 * 1024;
+  }
+
+  /**
+   * Get a single-line, human-readable description of a diagnostic
+   * @param {Object} diagnostic
+   * @return {string}
+   */
+  static formatDiagnostic(diagnostic) {
+    return "[" + diagnostic.severity + "] " + diagnostic.code + " at " + diagnostic.location + ": " + diagnostic.message;
+  }
+
+  /**
+   * Get the JSON Schema drafts that can be detected, in the order they were published
+   * @return {string[]}
+   */
+  static getDrafts() {
+    return [ 'draft-03', 'draft-04', 'draft-06', 'draft-07', '2019-09', '2020-12' ];
+  }
+
+  /**
+   * Get the draft assumed for any schema whose $schema does not identify one (eg. 'http://json-schema.org/schema#')
+   * @return {string}
+   */
+  static getDefaultDraft() {
+    return 'draft-04';
+  }
+
+  /**
+   * Get the JSON Schema draft from the $schema URI of a schema
+   * @param {string} [schemaURI] - the $schema of the schema (eg. 'http://json-schema.org/draft-07/schema#')
+   * @return {string} the draft (eg. 'draft-07' or '2020-12'), or the default draft if none can be detected
+   */
+  static getDraft(schemaURI) {
+    if (typeof schemaURI === 'string') {
+      const aDrafts = JSONSchemaOpenIGC.getDrafts();
+      for (let i = 0; i < aDrafts.length; i++) {
+        if (schemaURI.indexOf(aDrafts[i]) !== -1) {
+          return aDrafts[i];
+        }
+      }
+    }
+    return JSONSchemaOpenIGC.getDefaultDraft();
+  }
+
+  /**
+   * Get the URI of the meta-schema for a draft
+   * @param {string} draft - the draft
+   * @return {string} the URI, or null if the draft's meta-schema is not available for validation (draft-03)
+   */
+  static getMetaSchemaURI(draft) {
+    const hmMetaSchemas = {
+      "draft-04": "http://json-schema.org/draft-04/schema#",
+      "draft-06": "http://json-schema.org/draft-06/schema#",
+      "draft-07": "http://json-schema.org/draft-07/schema#",
+      "2019-09": "https://json-schema.org/draft/2019-09/schema",
+      "2020-12": "https://json-schema.org/draft/2020-12/schema"
+    };
+    return hmMetaSchemas.hasOwnProperty(draft) ? hmMetaSchemas[draft] : null;
+  }
+
+  /**
+   * Validate a JSON Schema against the meta-schema for its draft
+   * @param {Object} jsSchema - the JSON Schema definition
+   * @param {string} [draft] - the draft of the schema (if not provided, detected from its $schema)
+   * @return {Object[]} an array of diagnostics: an 'invalid-schema' error for each way in which the schema is invalid (located by a JSON Pointer within the schema), or an 'unvalidated' info if there is no meta-schema for the draft
+   */
+  static validateSchema(jsSchema, draft) {
+    const schemaDraft = draft || JSONSchemaOpenIGC.getDraft(jsSchema.$schema);
+    const schemaId = jsSchema[JSONSchemaOpenIGC.getIdKeyword(schemaDraft)];
+    const validator = JSONSchemaOpenIGC._getMetaSchemaValidator(schemaDraft);
+    if (validator === null) {
+      return [{
+        "code": 'unvalidated',
+        "severity": 'info',
+        "schema": schemaId,
+        "location": "#",
+        "message": "No meta-schema is available to validate a " + schemaDraft + " schema"
+      }];
+    }
+    const aDiagnostics = [];
+    if (!validator(jsSchema)) {
+      for (let i = 0; i < validator.errors.length; i++) {
+        const error = validator.errors[i];
+        aDiagnostics.push({
+          "code": 'invalid-schema',
+          "severity": 'error',
+          "schema": schemaId,
+          "location": "#" + error.instancePath,
+          "message": "Not valid against the " + schemaDraft + " meta-schema: " + error.message + " (" + error.schemaPath + ")"
+        });
+      }
+    }
+    return aDiagnostics;
+  }
+
+  /**
+   * Create an Ajv validation context for schemas of the provided draft
+   * @param {string} draft - the draft
+   * @param {Object} [options] - any options for Ajv
+   * @return {Object} the Ajv context, or null if the draft cannot be validated (draft-03)
+   */
+  static createAjv(draft, options) {
+    const ajvOptions = Object.assign({ allErrors: true }, options);
+    if (JSONSchemaOpenIGC.getMetaSchemaURI(draft) === null) {
+      return null;
+    } else if (draft === 'draft-04') {
+      return new AjvDraft04(ajvOptions);
+    } else if (draft === '2019-09') {
+      return new Ajv2019(ajvOptions);
+    } else if (draft === '2020-12') {
+      return new Ajv2020(ajvOptions);
+    }
+    const ajv = new Ajv(ajvOptions);
+    ajv.addMetaSchema(require('ajv/dist/refs/json-schema-draft-06.json'));
+    return ajv;
+  }
+
+  /**
+   * @private
+   */
+  static _getMetaSchemaValidator(draft) {
+    if (!metaSchemaValidators.hasOwnProperty(draft)) {
+      const ajv = JSONSchemaOpenIGC.createAjv(draft);
+      metaSchemaValidators[draft] = (ajv === null) ? null : ajv.getSchema(JSONSchemaOpenIGC.getMetaSchemaURI(draft));
+    }
+    return metaSchemaValidators[draft];
+  }
+
+  /**
+   * Indicates whether a draft is the same as or later than another draft
+   * @param {string} draft - the draft to check
+   * @param {string} minimumDraft - the draft it must be the same as or later than
+   * @return {boolean}
+   */
+  static isDraftAtLeast(draft, minimumDraft) {
+    const aDrafts = JSONSchemaOpenIGC.getDrafts();
+    return aDrafts.indexOf(draft) >= aDrafts.indexOf(minimumDraft);
+  }
+
+  /**
+   * Get the keyword a draft uses for the id of a schema: 'id' up to draft-04, '$id' from draft-06
+   * @param {string} draft - the draft
+   * @return {string}
+   */
+  static getIdKeyword(draft) {
+    return JSONSchemaOpenIGC.isDraftAtLeast(draft, 'draft-06') ? '$id' : 'id';
+  }
+
+  /**
+   * Get the list of JSON Schema keywords that define the (sub-)schemas of the items of an array
+   * @return {string[]}
+   */
+  static getArrayItemKeywords() {
+    return [ 'items', 'prefixItems', 'additionalItems', 'contains' ];
+  }
+
+  /**
+   * Get the list of JSON Schema keywords that define the (sub-)schemas of, or dependencies between, the properties of an object
+   * (other than 'properties' itself)
+   * @return {string[]}
+   */
+  static getObjectPropertyKeywords() {
+    return [ 'additionalProperties', 'patternProperties', 'propertyNames', 'dependencies', 'dependentRequired', 'dependentSchemas' ];
+  }
+
+  /**
+   * Get the list of JSON Schema keywords that compose a schema from other (sub-)schemas
+   * @return {string[]}
+   */
+  static getCompositionKeywords() {
+    return [ 'allOf', 'anyOf', 'oneOf', 'not' ];
+  }
+
+  /**
+   * Get the list of JSON Schema keywords that apply (sub-)schemas conditionally (from draft-07)
+   * @return {string[]}
+   */
+  static getConditionalKeywords() {
+    return [ 'if', 'then', 'else' ];
+  }
+
+  /**
+   * Get the list of JSON Schema (and OpenAPI) keywords that are known, but not captured in IGC: these (like any
+   * extension keyword that is not mapped) are only reported for information, while any other keyword is reported
+   * as a warning (as it is most likely misspelt)
+   * @return {string[]}
+   */
+  static getUncapturedKeywords() {
+    return [ '$anchor', '$dynamicAnchor', '$dynamicRef', '$recursiveAnchor', '$recursiveRef', '$vocabulary',
+      'contentEncoding', 'contentMediaType', 'contentSchema', 'deprecated', 'writeOnly',
+      'unevaluatedItems', 'unevaluatedProperties', 'externalDocs' ];
+  }
+
+  /**
+   * Parse the provided JSON or YAML content into an object
+   * @param {string} content - the JSON or YAML content
+   * @param {string} [format] - either 'json' or 'yaml'; if not provided, the content is treated as JSON if it starts with '{' and YAML otherwise
+   * @return {Object}
+   */
+  static parseString(content, format) {
+    let bYAML = (format === 'yaml');
+    if (typeof format === 'undefined' || format === null) {
+      bYAML = (content.trim().indexOf('{') !== 0);
+    }
+    // The core schema limits YAML to the same types as JSON (no dates, binary, functions, etc)
+    return bYAML ? yaml.load(content, { schema: yaml.CORE_SCHEMA }) : JSON.parse(content);
+  }
+
+  /**
+   * Check a mapping of extension keywords (x-...) to IGC attributes or relationships, where each keyword is mapped
+   * to an object with either:
+   * - an 'attribute': the name of an attribute of the OpenIGC bundle in which to capture the keyword's value, or
+   * - a 'relationship': the name of an IGC relationship to set from the asset to the RID(s) given by the keyword's value
+   *   (and, optionally, 'lineage' as true where data also flows from the asset(s) with those RIDs into the asset)
+   * @param {Object} mapping - the mapping, keyed by extension keyword
+   * @return {Object} the mapping
+   * @throws {Error} if any keyword is not mapped to exactly one of an attribute (that every type of asset in the bundle has) or a relationship, or has lineage without a relationship
+   */
+  static validateExtensionMapping(mapping) {
+    const aAttributes = JSONSchemaBundle.getAttributes('CommonObject').filter(function(attr) {
+      return attr.reference === null;
+    }).map(function(attr) {
+      return attr.localId;
+    });
+    const aKeywords = Object.keys(mapping);
+    for (let i = 0; i < aKeywords.length; i++) {
+      const target = mapping[aKeywords[i]];
+      if (typeof target !== 'object' || target === null || target.hasOwnProperty('attribute') === target.hasOwnProperty('relationship')) {
+        throw new Error("Invalid mapping for extension keyword '" + aKeywords[i] + "': expected either an 'attribute' or a 'relationship'");
+      } else if (target.hasOwnProperty('lineage') && (typeof target.lineage !== 'boolean' || !target.hasOwnProperty('relationship'))) {
+        throw new Error("Invalid mapping for extension keyword '" + aKeywords[i] + "': 'lineage' can only be true or false, and only for a 'relationship'");
+      } else if (target.hasOwnProperty('attribute') && aAttributes.indexOf(target.attribute) === -1) {
+        throw new Error("Invalid mapping for extension keyword '" + aKeywords[i] + "': the bundle has no attribute '" + target.attribute + "' (for every type of asset)");
+      }
+    }
+    return mapping;
+  }
+
+  /**
+   * Read a mapping of extension keywords (x-...) to IGC attributes or relationships from the provided file
+   * (YAML if the file has a .yaml or .yml extension, otherwise JSON)
+   * @param {string} filename - the name of the file containing the mapping
+   * @return {Object} the mapping (see validateExtensionMapping)
+   */
+  static readExtensionMappingFromFile(filename) {
+    const mapping = JSONSchemaOpenIGC.parseString(fs.readFileSync(filename, 'utf8'), JSONSchemaOpenIGC.getFormatForFile(filename));
+    return JSONSchemaOpenIGC.validateExtensionMapping(mapping);
+  }
+
+  /**
+   * Get the format of the provided file, based on its extension
+   * @param {string} filename - the name of the file
+   * @return {string} 'yaml' for a file with a .yaml or .yml extension, otherwise 'json'
+   */
+  static getFormatForFile(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    return (extension === '.yaml' || extension === '.yml') ? 'yaml' : 'json';
+  }
+
+  /**
+   * Get the glob patterns for the files that are excluded by default when finding files (see findFiles)
+   * @return {string[]}
+   */
+  static getDefaultExcludes() {
+    return [ "**/node_modules/**", "**/package.json", "**/package-lock.json" ];
+  }
+
+  /**
+   * Find the files within the provided directory (and optionally those within its sub-directories), filtered by glob
+   * patterns matched against each file's path relative to the directory (using '/' as separator, and ignoring any
+   * hidden files or directories unless a pattern names them explicitly)
+   * @param {string} directory - the directory in which to find files
+   * @param {Object} [options] - options for finding the files
+   * @param {boolean} [options.recursive] - true to find files within sub-directories as well (by default only those directly within the directory)
+   * @param {string[]} [options.include] - patterns of which any one must match a file for it to be included (by default any file is)
+   * @param {string[]} [options.exclude] - patterns of which none may match a file for it to be included (defaults to getDefaultExcludes)
+   * @return {string[]} the path of each file relative to the directory, in sorted order within each directory
+   */
+  static findFiles(directory, options) {
+    const opts = options || {};
+    const aInclude = opts.include || [ "**" ];
+    const aExclude = opts.exclude || JSONSchemaOpenIGC.getDefaultExcludes();
+    const matchesAny = function(relativePath, aPatterns) {
+      for (let i = 0; i < aPatterns.length; i++) {
+        if (minimatch(relativePath, aPatterns[i])) {
+          return true;
+        }
+      }
+      return false;
+    };
+    // (a broken symbolic link, whose target cannot be found, is skipped)
+    const linksToFile = function(fullPath) {
+      try {
+        return fs.statSync(fullPath).isFile();
+      } catch (e) {
+        return false;
+      }
+    };
+    const aFound = [];
+    const findWithin = function(aTokens) {
+      const aEntries = fs.readdirSync(path.join.apply(path, [ directory ].concat(aTokens))).sort();
+      for (let i = 0; i < aEntries.length; i++) {
+        const aEntryTokens = aTokens.concat([ aEntries[i] ]);
+        const fullPath = path.join.apply(path, [ directory ].concat(aEntryTokens));
+        const stats = fs.lstatSync(fullPath);
+        // (symbolic links are only followed to files, so that no directory can be traversed endlessly)
+        if (stats.isDirectory()) {
+          if (opts.recursive) {
+            findWithin(aEntryTokens);
+          }
+        } else if (stats.isFile() || (stats.isSymbolicLink() && linksToFile(fullPath))) {
+          const relativePath = aEntryTokens.join('/');
+          if (matchesAny(relativePath, aInclude) && !matchesAny(relativePath, aExclude)) {
+            aFound.push(aEntryTokens.join(path.sep));
+          }
+        }
+      }
+    };
+    findWithin([]);
+    return aFound;
+  }
+
+  /**
+   * Read in and process a JSON Schema from the provided filename (YAML if the file has a .yaml or .yml extension, otherwise JSON)
+   * @param {string} filename - the name of the file from which to read the JSON Schema definition
+   * @return {Object[]} an array of the diagnostics (each with a 'code', 'severity', JSON Pointer 'location' and 'message') from processing the schema; only an 'unreadable-file' error where the file cannot be read or parsed into a schema
+   */
+  readSchemaFromFile(filename) {
+    let jsSchema = null;
+    try {
+      jsSchema = JSONSchemaOpenIGC.parseString(fs.readFileSync(filename, 'utf8'), JSONSchemaOpenIGC.getFormatForFile(filename));
+    } catch (e) {
+      return this._addUnreadableFileDiagnostic(filename, e.message);
+    }
+    if (typeof jsSchema !== 'object' || jsSchema === null || Array.isArray(jsSchema)) {
+      return this._addUnreadableFileDiagnostic(filename, "content is not a JSON Schema object");
+    }
+    return this.readSchemaFromObject(jsSchema, filename);
+  }
+
+  /**
+   * Parse and process a JSON Schema from the provided string
+   * @param {string} schema - the JSON Schema definition, as JSON or YAML
+   * @param {string} [format] - either 'json' or 'yaml'; if not provided, the content is treated as JSON if it starts with '{' and YAML otherwise
+   * @param {string} [filename] - the name of the file the schema came from, for deriving its identity
+   * @return {Object[]} an array of the diagnostics (each with a 'code', 'severity', JSON Pointer 'location' and 'message') from processing the schema
+   */
+  readSchemaFromString(schema, format, filename) {
+    return this.readSchemaFromObject(JSONSchemaOpenIGC.parseString(schema, format), filename);
+  }
+
+  /**
+   * Process a JSON Schema that has already been parsed into an object
+   * @param {Object} jsSchema - the JSON Schema definition
+   * @param {string} [filename] - the name of the file the schema came from, for deriving its identity
+   * @return {Object[]} an array of the diagnostics (each with a 'code', 'severity', JSON Pointer 'location' and 'message') from processing the schema
+   */
+  readSchemaFromObject(jsSchema, filename) {
+    try {
+      return this._readSchema(jsSchema, filename);
+    } catch (e) {
+      // Whatever was translated before the failure is only part of the schema, so it can never be loaded
+      this._addDiagnostic('translation-failed', 'error', "#", "Could not translate the schema: " + e.message);
+      return this._schemaDiagnostics;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _readSchema(jsSchema, filename) {
+
+    this._schemaDiagnostics = [];
+
+    const assetObj = {};
+
+    this._draft = JSONSchemaOpenIGC.getDraft(jsSchema.$schema);
+    assetObj.$draft = this._draft;
+    const idKey = JSONSchemaOpenIGC.getIdKeyword(this._draft);
+    const otherIdKey = (idKey === 'id') ? '$id' : 'id';
+    this._schemaId = jsSchema.hasOwnProperty(idKey) ? jsSchema[idKey] : jsSchema[otherIdKey];
+
+    if (this._validate) {
+      const aInvalid = JSONSchemaOpenIGC.validateSchema(jsSchema, this._draft);
+      for (let i = 0; i < aInvalid.length; i++) {
+        this._addDiagnostic(aInvalid[i].code, aInvalid[i].severity, aInvalid[i].location, aInvalid[i].message);
+      }
+    }
+  
+    // (the schema itself can be an array or primitive, so its keywords are normalised as for any other)
+    const schemaObj = this._normaliseKeywords(jsSchema, "#");
+    const aKeys = Object.keys(schemaObj);
+    for (let i = 0; i < aKeys.length; i++) {
+      const key = aKeys[i];
+      if (schemaObj.hasOwnProperty(key)) {
+        if (this._extensions.hasOwnProperty(key)) {
+          // (captured below, once the identity of the schema is known)
+        } else if (key === '$schema') {
+          assetObj.$schema = schemaObj[key];
+        } else if (key === idKey || (key === otherIdKey && !jsSchema.hasOwnProperty(idKey))) {
+          // (the other draft's keyword is only used when the schema has no id under its own draft's keyword)
+          assetObj.$id = schemaObj[key];
+        } else if (key === 'description') {
+          if (schemaObj[key].length > 255) {
+            assetObj.short_description = schemaObj[key].substring(0,251) + "...";
+            assetObj.long_description  = schemaObj[key];
+          } else {
+            assetObj.short_description = schemaObj[key];
+          }
+        } else if (key === 'title') {
+          assetObj.name = schemaObj[key];
+          assetObj.$title = schemaObj[key];
+        } else if (key === 'type') {
+          this._addTypeToAsset(schemaObj[key], "#", assetObj);
+        } else if (key === 'enum') {
+          assetObj.$enum = JSONSchemaOpenIGC._getEnumValues(schemaObj[key]);
+        } else if (JSONSchemaOpenIGC._isJSONValuedKeyword(key)) {
+          assetObj['$' + key] = pd.json(JSON.stringify(schemaObj[key]));
+        } else if (key === '$comment' || key === '$ref') {
+          assetObj[key] = schemaObj[key];
+        } else if (key === 'xml') {
+          this._addXMLDetailsToAsset(schemaObj[key], "#", assetObj);
+        } else if (JSONSchemaOpenIGC.getArrayItemKeywords().indexOf(key) !== -1) {
+          // (any schemas translated as children of the schema, below; booleans as for the items of any other array)
+          if (typeof schemaObj[key] === 'boolean' && (key === 'additionalItems' || (key === 'items' && JSONSchemaOpenIGC.isDraftAtLeast(this._draft, '2020-12')))) {
+            assetObj.$additionalItems = schemaObj[key];
+          } else if (typeof schemaObj[key] === 'boolean') {
+            this._addKeywordDiagnostic('unhandled-keyword', key, "#", "Found unhandled keyword: " + key);
+          }
+        } else if (JSONSchemaOpenIGC.getObjectPropertyKeywords().indexOf(key) !== -1) {
+          // (translated either as children of the schema, below, or by _addObjectKeywordsToAsset)
+        } else if (JSONSchemaOpenIGC.getKnownIGCAttributes('JSchema').indexOf('$' + key) !== -1) {
+          // (the keywords that constrain the schema as an object, array or primitive, as for any other)
+          assetObj['$' + key] = JSONSchemaOpenIGC._getCapturedValue(schemaObj[key]);
+        } else if (key !== 'properties' && key !== 'definitions' && key !== '$defs' && !JSONSchemaOpenIGC._isSubschemaKeyword(key)) {
+          this._addKeywordDiagnostic('unexpected-schema-keyword', key, "#", "Found unexpected schema-level keyword: " + key);
+        }
+      }
+    }
+  
+    this._addObjectKeywordsToAsset(schemaObj, assetObj);
+
+    // The identity determines where the schema sits within IGC; a schema without an id of its own takes
+    // this identity as its id as well (so that any relative $ref within it still resolves)
+    const identity = this._getIdentity(assetObj.$id, filename, assetObj.name);
+    if (typeof assetObj.$id === 'undefined') {
+      assetObj.$id = identity;
+      for (let i = 0; i < this._schemaDiagnostics.length; i++) {
+        this._schemaDiagnostics[i].schema = identity;
+      }
+      this._addDiagnostic('derived-id', 'info', "#", "Schema has no id, so using: " + identity);
+    }
+    if (typeof assetObj.name === 'undefined') {
+      assetObj.name = identity.split('/').pop();
+    }
+
+    this._schemaId = assetObj.$id;
+    if (this._schemasById.hasOwnProperty(this._schemaId)) {
+      this._addDiagnostic('duplicate-id', 'error', "#", "A schema with this id has already been read, so this one is ignored: " + this._schemaId);
+      return this._schemaDiagnostics;
+    }
+    for (let i = 0; i < aKeys.length; i++) {
+      if (this._extensions.hasOwnProperty(aKeys[i])) {
+        this._addExtensionToAsset(aKeys[i], jsSchema[aKeys[i]], "#", 'JSchema', assetObj);
+      }
+    }
+
+    const aHierarchyIds = this._createContainmentHierarchyObjects(identity);
+  
+    const schemaId = this._mapObjectToId('JSchema', '#');
+    this._currentSchema = {
+      "id": this._schemaId,
+      "internalId": schemaId,
+      "hierarchyIds": aHierarchyIds,
+      "assets": [],
+      "diagnostics": this._schemaDiagnostics,
+      "refs": [],
+      "xml": null,
+      "xmlVersion": null
+    };
+    this._schemas.push(this._currentSchema);
+    this._schemasById[this._schemaId] = this._currentSchema;
+    this._registerRefTarget('#', schemaId);
+    if (assetObj.hasOwnProperty('$ref')) {
+      this._addRef('#', assetObj.$ref, schemaId);
+    }
+    if (aHierarchyIds.length > 1) {
+      this._addAsset('$JSON_Schema-JSchema', assetObj.name, schemaId, assetObj, '$JSPath', aHierarchyIds[aHierarchyIds.length - 1]);
+    } else if (aHierarchyIds.length === 1) {
+      this._addAsset('$JSON_Schema-JSchema', assetObj.name, schemaId, assetObj, '$JSNamespace', aHierarchyIds[0]);
+    } else {
+      this._addAsset('$JSON_Schema-JSchema', assetObj.name, schemaId, assetObj);
+    }
+  
+    if (jsSchema.hasOwnProperty('properties')) {
+      this._translateProperties(jsSchema.properties, '#/properties', 'JSchema', schemaId);
+    }
+    // Re-usable definitions ('definitions' up to draft-07, '$defs' from 2019-09) are kept under the schema
+    // itself, with an $id that matches the JSON Pointer any $ref to them would use
+    if (jsSchema.hasOwnProperty('definitions')) {
+      this._translateProperties(jsSchema.definitions, '#/definitions', 'JSchema', schemaId);
+    }
+    if (jsSchema.hasOwnProperty('$defs')) {
+      this._translateProperties(jsSchema.$defs, '#/$defs', 'JSchema', schemaId);
+    }
+    this._translateArrayItems(jsSchema, '#', 'JSchema', schemaId);
+    this._translateObjectSubschemas(jsSchema, '#', 'JSchema', schemaId);
+    this._translateCompositions(jsSchema, '#', 'JSchema', schemaId);
+    this._translateConditional(jsSchema, '#', 'JSchema', schemaId);
+  
+    return this._schemaDiagnostics;
+
+  }
+
+  /**
+   * Indicates whether the diagnostics from processing a schema allow it to be loaded, under the mode of this object
+   * (and ignoring any invalidity against the meta-schema, if forced)
+   * @param {Object[]} aDiagnostics - the diagnostics returned from reading the schema
+   * @return {boolean}
+   */
+  isLoadable(aDiagnostics) {
+    const aBlocking = aDiagnostics.filter(function(diagnostic) {
+      return !(this._force && diagnostic.code === 'invalid-schema');
+    }, this);
+    return JSONSchemaOpenIGC.isLoadable(aBlocking, this._mode);
+  }
+
+  /**
+   * Get the diagnostics from processing all of the schemas read so far
+   * @return {Object[]}
+   */
+  getDiagnostics() {
+    return this._diagnostics;
+  }
+
+  /**
+   * Get the OpenIGC asset XML representation of the JSON Schema(s); any schema whose diagnostics do not allow it
+   * to be loaded (see isLoadable) is left out
+   * @return {string}
+   */
+  getOpenIGCXML() {
+    return this._getOpenIGCXMLForSchemas(this._getLoadableSchemas());
+  }
+
+  /**
+   * Get the OpenIGC asset XML representation of the JSON Schema(s) split into several payloads, each of at most
+   * the provided size (other than a single schema that exceeds the size on its own)
+   * @param {number} [maxSize] - the maximum size (in characters) of each payload (defaults to getDefaultChunkSize)
+   * @return {string[]}
+   */
+  getOpenIGCXMLChunks(maxSize) {
+    return this.getOpenIGCPayloads(maxSize).map(function(payload) {
+      return payload.xml;
+    });
+  }
+
+  /**
+   * Get the payloads into which the OpenIGC asset XML representation of the JSON Schema(s) is split (see
+   * getOpenIGCXMLChunks), each along with the schemas it represents -- optionally for only some of the schemas
+   * @param {number} [maxSize] - the maximum size (in characters) of each payload (defaults to getDefaultChunkSize)
+   * @param {string[]} [aSchemaIds] - the ids of the schemas to include (by default all of those that are loadable)
+   * @return {Object[]} an array of objects, each with the 'schemas' (ids) it represents and their 'xml'
+   */
+  getOpenIGCPayloads(maxSize, aSchemaIds) {
+    const limit = maxSize || JSONSchemaOpenIGC.getDefaultChunkSize();
+    const aSchemas = this._getLoadableSchemas().filter(function(schema) {
+      return typeof aSchemaIds === 'undefined' || aSchemaIds.indexOf(schema.id) !== -1;
+    });
+    const aPayloads = [];
+    const self = this;
+    const addPayload = function(aSchemas) {
+      aPayloads.push({
+        "schemas": aSchemas.map(function(schema) { return schema.id; }),
+        "xml": self._getOpenIGCXMLForSchemas(aSchemas)
+      });
+    };
+    let aCurrent = [];
+    let currentSize = 0;
+    for (let i = 0; i < aSchemas.length; i++) {
+      // (sized on its own, which over-estimates by any namespaces and paths it shares with the rest of the chunk)
+      const schemaSize = this._getOpenIGCXMLForSchema(aSchemas[i]).length;
+      if (aCurrent.length > 0 && currentSize + schemaSize > limit) {
+        addPayload(aCurrent);
+        aCurrent = [];
+        currentSize = 0;
+      }
+      aCurrent.push(aSchemas[i]);
+      currentSize += schemaSize;
+    }
+    if (aCurrent.length > 0) {
+      addPayload(aCurrent);
+    }
+    return aPayloads;
+  }
+
+  /**
+   * Get the OpenIGC asset XML representation of each JSON Schema on its own
+   * @return {Object[]} an array of objects, each with the 'schemas' (the id of the one schema) it represents and its 'xml'
+   */
+  getOpenIGCXMLForEachSchema() {
+    return this._getLoadableSchemas().map(function(schema) {
+      return {
+        "schemas": [ schema.id ],
+        "xml": this._getOpenIGCXMLForSchema(schema)
+      };
+    }, this);
+  }
+
+  /**
+   * Get the relationships mapped from extension keywords in the schemas read so far, which can only be set
+   * once the assets they are from have been created in IGC (so any schema that is not loadable is left out)
+   * @return {Object[]} an array of objects, each with the 'schema' and 'path' ($id) of the asset, its 'type' (eg. JSObject), the 'relationship', the 'rids' of the assets to relate it to, and whether data flows from those assets into it ('lineage')
+   */
+  getRelationships() {
+    return this._relationships.filter(function(relationship) {
+      return this.isLoadable(this._schemasById[relationship.schema].diagnostics);
+    }, this);
+  }
+
+  /**
+   * Get any $ref values that could not be resolved to an asset within the schemas read so far
+   * @return {Object[]} an array of objects, each with the 'schema' in which the $ref appears, the 'path' of the object with the $ref and the '$ref' itself
+   */
+  getUnresolvedRefs() {
+    const aUnresolved = [];
+    for (let i = 0; i < this._refs.length; i++) {
+      const ref = this._refs[i];
+      if (this._getRefTargetId(ref.schema, ref.$ref) === null) {
+        aUnresolved.push({ "schema": ref.schema, "path": ref.path, "$ref": ref.$ref });
+      }
+    }
+    return aUnresolved;
+  }
+
+  /**
+   * Get the assets translated from a schema, in the order they were translated (the schema itself first)
+   * @param {string} schemaId - the id of the schema
+   * @return {Object[]} an array of objects, each with the 'type' (eg. $JSON_Schema-JSObject), 'name', 'id', 'attributes', 'parentType' and 'parentId' of an asset; or null if no schema with the id has been read
+   */
+  getAssets(schemaId) {
+    if (!this._schemasById.hasOwnProperty(schemaId)) {
+      return null;
+    }
+    return this._schemasById[schemaId].assets.map(function(args) {
+      return {
+        "type": args[0],
+        "name": args[1],
+        "id": args[2],
+        "attributes": args[3],
+        "parentType": args[4],
+        "parentId": args[5]
+      };
+    });
+  }
+
+  /**
+   * Get the assets that identify an asset within IGC: each asset containing it, from its namespace down, and
+   * then the asset itself
+   * @param {string} schemaId - the id of the schema
+   * @param {string} pointer - the JSON Pointer of the asset within the schema ('#' for the schema itself)
+   * @return {Object[]} an array of objects, each with the 'type' (eg. $JSON_Schema-JSObject) and 'name' of an asset; or null if there is no such asset
+   */
+  getAssetContext(schemaId, pointer) {
+    if (!this._schemasById.hasOwnProperty(schemaId)) {
+      return null;
+    }
+    const schema = this._schemasById[schemaId];
+    const hmArgsById = {};
+    for (let i = 0; i < schema.hierarchyIds.length; i++) {
+      hmArgsById[schema.hierarchyIds[i]] = this._hierarchyAssets[schema.hierarchyIds[i]];
+    }
+    let args = null;
+    for (let i = 0; i < schema.assets.length; i++) {
+      hmArgsById[schema.assets[i][2]] = schema.assets[i];
+      if (args === null && ((pointer === '#' && i === 0) || (i > 0 && schema.assets[i][3].$id === pointer))) {
+        args = schema.assets[i];
+      }
+    }
+    const aContext = [];
+    while (args) {
+      aContext.unshift({ "type": args[0], "name": args[1] });
+      args = hmArgsById[args[5]];
+    }
+    return (aContext.length > 0) ? aContext : null;
+  }
+
+  /**
+   * Get the ids of the schemas read so far whose diagnostics allow them to be loaded (see isLoadable)
+   * @return {string[]}
+   */
+  getSchemaIds() {
+    return this._getLoadableSchemas().map(function(schema) {
+      return schema.id;
+    });
+  }
+
+  /**
+   * Get the OpenIGC asset XML for only some of the assets read (from loadable schemas): each asset provided as
+   * complete is included along with everything within it, so that anything within it already in IGC but no longer
+   * included is removed; each provided as partial is included only to update the attributes given.  The assets
+   * that contain them (up to the namespace), and any they $ref, are included as partial as well.
+   * @param {string[]} aCompleteIds - the IDs of assets to include as complete
+   * @param {string[]} [aPartialIds] - the IDs of assets to include as partial
+   * @return {string}
+   */
+  getOpenIGCXMLForAssets(aCompleteIds, aPartialIds) {
+
+    const aSchemas = this._getLoadableSchemas();
+    const hmParentIds = {};
+    const hmChildIds = {};
+    const aHierarchyIds = Object.keys(this._hierarchyAssets);
+    for (let i = 0; i < aHierarchyIds.length; i++) {
+      hmParentIds[aHierarchyIds[i]] = this._hierarchyAssets[aHierarchyIds[i]][5];
+    }
+    for (let i = 0; i < aSchemas.length; i++) {
+      for (let j = 0; j < aSchemas[i].assets.length; j++) {
+        const args = aSchemas[i].assets[j];
+        hmParentIds[args[2]] = args[5];
+        if (typeof args[5] !== 'undefined') {
+          hmChildIds[args[5]] = (hmChildIds[args[5]] || []).concat([ args[2] ]);
+        }
+      }
+    }
+
+    // Everything within a complete asset is complete as well...
+    const hmComplete = {};
+    const aToComplete = aCompleteIds.slice();
+    while (aToComplete.length > 0) {
+      const id = aToComplete.pop();
+      if (hmParentIds.hasOwnProperty(id) && !hmComplete.hasOwnProperty(id)) {
+        hmComplete[id] = true;
+        Array.prototype.push.apply(aToComplete, hmChildIds[id] || []);
+      }
+    }
+    // ... anything referenced by a $ref from an asset provided is included (as partial) to be referenced...
+    const aProvidedIds = Object.keys(hmComplete).concat(aPartialIds || []);
+    const hmFromToIds = {};
+    let aReferencedIds = [];
+    for (let i = 0; i < aSchemas.length; i++) {
+      const hmResolved = this._resolveRefs(aSchemas[i].refs);
+      const aFromIds = Object.keys(hmResolved);
+      for (let j = 0; j < aFromIds.length; j++) {
+        if (aProvidedIds.indexOf(aFromIds[j]) !== -1) {
+          hmFromToIds[aFromIds[j]] = hmResolved[aFromIds[j]];
+          aReferencedIds = aReferencedIds.concat(hmResolved[aFromIds[j]]);
+        }
+      }
+    }
+    // ... and everything containing an asset that is included, but not itself complete, is partial
+    const hmPartial = {};
+    const hmVisited = {};
+    const aToPartial = aProvidedIds.concat(aReferencedIds);
+    while (aToPartial.length > 0) {
+      const id = aToPartial.pop();
+      if (hmParentIds.hasOwnProperty(id) && !hmVisited.hasOwnProperty(id)) {
+        hmVisited[id] = true;
+        if (!hmComplete.hasOwnProperty(id)) {
+          hmPartial[id] = true;
+        }
+        if (typeof hmParentIds[id] !== 'undefined') {
+          aToPartial.push(hmParentIds[id]);
+        }
+      }
+    }
+
+    // Added in the order they were read, so that the XML is the same however the IDs were provided
+    const ah = new igcext.AssetHandler();
+    const hmIncludedIds = {};
+    for (let i = 0; i < aSchemas.length; i++) {
+      const aArgs = aSchemas[i].hierarchyIds.map(function(hierarchyId) {
+        return this._hierarchyAssets[hierarchyId];
+      }, this).concat(aSchemas[i].assets);
+      for (let j = 0; j < aArgs.length; j++) {
+        const id = aArgs[j][2];
+        if ((hmComplete.hasOwnProperty(id) || hmPartial.hasOwnProperty(id)) && !hmIncludedIds.hasOwnProperty(id)) {
+          ah.addAsset.apply(ah, aArgs[j]);
+          hmIncludedIds[id] = true;
+        }
+      }
+    }
+    ah.addImportAction(Object.keys(hmComplete), Object.keys(hmPartial));
+    return JSONSchemaOpenIGC._addReferencesToXML(ah.getCustomisedXML(), hmFromToIds);
+
+  }
+
+  /**
+   * Get the internal ID for an asset of the provided type at the JSON Pointer within the schema currently
+   * being processed -- derived from these (rather than the order of processing) so that the same asset
+   * is given the same ID whatever else is read alongside it, and from one run to the next
+   * @private
+   */
+  _mapObjectToId(igcType, pointer) {
+    return this._mapIdentityToId(igcType + ":" + this._schemaId + pointer);
+  }
+
+  /**
+   * @private
+   */
+  _mapIdentityToId(identity) {
+    if (!this._objectIdentitiesToIds.hasOwnProperty(identity)) {
+      this._objectIdentitiesToIds[identity] = "xt" + crypto.createHash('sha1').update(identity).digest('hex').substring(0, 16);
+    }
+    return this._objectIdentitiesToIds[identity];
+  }
+
+  /**
+   * @private
+   */
+  _getLoadableSchemas() {
+    return this._schemas.filter(function(schema) {
+      return this.isLoadable(schema.diagnostics);
+    }, this);
+  }
+
+  /**
+   * Get the XML for a single schema on its own, building it only once for the schemas read so far (as a schema
+   * does not change once it has been read, but a $ref within it may resolve to a schema read after it)
+   * @private
+   */
+  _getOpenIGCXMLForSchema(schema) {
+    if (schema.xmlVersion !== this._schemas.length) {
+      schema.xml = this._getOpenIGCXMLForSchemas([ schema ]);
+      schema.xmlVersion = this._schemas.length;
+    }
+    return schema.xml;
+  }
+
+  /**
+   * Build the XML for the provided schemas, together with the namespaces and paths that contain them, and a
+   * reference from every asset with a $ref to the asset it resolves to -- where that is in another schema, it is
+   * included as partial (along with the assets containing it), so that it can be referenced without affecting
+   * anything already within it
+   * @private
+   */
+  _getOpenIGCXMLForSchemas(aSchemas) {
+    const ah = new igcext.AssetHandler();
+    const hmIncludedIds = {};
+    let hmFromToIds = {};
+    for (let i = 0; i < aSchemas.length; i++) {
+      const schema = aSchemas[i];
+      for (let j = 0; j < schema.hierarchyIds.length; j++) {
+        const hierarchyId = schema.hierarchyIds[j];
+        if (!hmIncludedIds.hasOwnProperty(hierarchyId)) {
+          ah.addAsset.apply(ah, this._hierarchyAssets[hierarchyId]);
+          hmIncludedIds[hierarchyId] = true;
+        }
+      }
+      for (let j = 0; j < schema.assets.length; j++) {
+        ah.addAsset.apply(ah, schema.assets[j]);
+        hmIncludedIds[schema.assets[j][2]] = true;
+      }
+      // Provide the hierarchy IDs as partial IDs, so they do not replace any other objects
+      // already placed within those hierarchies (if they already exist)
+      ah.addImportAction([schema.internalId], schema.hierarchyIds);
+      hmFromToIds = Object.assign(hmFromToIds, this._resolveRefs(schema.refs));
+    }
+    const aReferencedIds = [];
+    const aFromIds = Object.keys(hmFromToIds);
+    for (let i = 0; i < aFromIds.length; i++) {
+      for (let j = 0; j < hmFromToIds[aFromIds[i]].length; j++) {
+        // (added from the namespace down, as for the schemas themselves)
+        const aChain = [];
+        let id = hmFromToIds[aFromIds[i]][j];
+        while (typeof id !== 'undefined' && !hmIncludedIds.hasOwnProperty(id)) {
+          const args = this._assetArgsById[id] || this._hierarchyAssets[id];
+          aChain.unshift(args);
+          hmIncludedIds[id] = true;
+          id = args[5];
+        }
+        for (let k = 0; k < aChain.length; k++) {
+          ah.addAsset.apply(ah, aChain[k]);
+          aReferencedIds.push(aChain[k][2]);
+        }
+      }
+    }
+    if (aReferencedIds.length > 0) {
+      ah.addImportAction([], aReferencedIds);
+    }
+    return JSONSchemaOpenIGC._addReferencesToXML(ah.getCustomisedXML(), hmFromToIds);
+  }
+
+  /**
+   * Resolve the provided $refs to the internal IDs of the assets they reference, leaving out any that cannot be
+   * resolved or that resolve to a schema that is not loadable (so is never created in IGC)
+   * @private
+   */
+  _resolveRefs(aRefs) {
+    const hmFromToIds = {};
+    for (let i = 0; i < aRefs.length; i++) {
+      const targetId = this._getRefTargetId(aRefs[i].schema, aRefs[i].$ref);
+      if (targetId !== null && this.isLoadable(this._schemasById[this._refTargetSchemaIds[targetId]].diagnostics)) {
+        hmFromToIds[aRefs[i].from] = (hmFromToIds[aRefs[i].from] || []).concat([ targetId ]);
+      }
+    }
+    return hmFromToIds;
+  }
+
+  /**
+   * Adds a reference (see JSONSchemaBundle.getRefTargetReference) to each asset in the XML that has a resolved $ref
+   * @private
    */
-  constructor() {
-    this._ah = new igcext.AssetHandler();
-    this._id_gen = 0;
-    this._objectIdentitiesToIds = {};
+  static _addReferencesToXML(xml, hmFromToIds) {
+    let result = xml;
+    const aFromIds = Object.keys(hmFromToIds);
+    for (let i = 0; i < aFromIds.length; i++) {
+      const assetStart = result.indexOf(' ID="' + aFromIds[i] + '"');
+      const assetEnd = result.indexOf('</asset>', assetStart);
+      if (assetStart !== -1 && assetEnd !== -1) {
+        const reference = '<reference name="' + JSONSchemaBundle.getRefTargetReference() + '" assetIDs="' + hmFromToIds[aFromIds[i]].join(' ') + '"/>';
+        result = result.substring(0, assetEnd) + reference + result.substring(assetEnd);
+      }
+    }
+    return result;
   }
 
   /**
-   * Get the OpenIGC asset type from the JSON Schema object type
-   * @param {string} schemaType - the JSON Schema object type (eg. string, object, array, etc)
-   * @return {string}
+   * Keeps an asset to be included in the XML for the schema currently being processed
+   * @private
    */
-  static getIGCTypeForSchemaType(schemaType) {
-    const _igcToSchemaTypes = {
-      "object": "JSObject",
-      "array": "JSArray",
-      "string": "JSPrimitive",
-      "integer": "JSPrimitive",
-      "number": "JSPrimitive",
-      "boolean": "JSPrimitive",
-      "null": "JSPrimitive"
-    };
-    return _igcToSchemaTypes.hasOwnProperty(schemaType) ? _igcToSchemaTypes[schemaType] : null;
+  _addAsset(igcType, name, internalId, assetObj, parentType, parentId) {
+    const args = [ igcType, name, internalId, assetObj, parentType, parentId ];
+    this._currentSchema.assets.push(args);
+    this._assetArgsById[internalId] = args;
   }
 
   /**
-   * Get the list of known attributes for a given OpenIGC asset type
-   * @param {string} igcType - the OpenIGC asset type
-   * @return {string}
+   * Records a diagnostic against the schema currently being processed
+   * @private
    */
-  static getKnownIGCAttributes(igcType) {
-    const _commonObjAttributes = [
-      'name',
-      'short_description',
-      '$id',
-      '$format',
-      '$default',
-      '$enum',
-      '$readOnly',
-      '$example',
-      '$ref',
-      '$xml_name',
-      '$xml_namespace',
-      '$xml_prefix',
-      '$xml_attribute',
-      '$xml_wrapped'
-    ];
-    const _igcTypeToKnownAttrs = {
-      "JSObject": _commonObjAttributes.concat(['$discriminator', '$maxProperties', '$minProperties', '$required']),
-      "JSArray": _commonObjAttributes.concat(['$maxItems', '$minItems', '$uniqueItems']),
-      "JSPrimitive": _commonObjAttributes.concat(['$type', '$multipleOf', '$maximum', '$exclusiveMaximum', '$minimum', '$exclusiveMinimum', '$maxLength', '$minLength', '$pattern'])
+  _addDiagnostic(code, severity, location, message) {
+    const diagnostic = {
+      "code": code,
+      "severity": severity,
+      "schema": this._schemaId,
+      "location": location,
+      "message": message
     };
-    return _igcTypeToKnownAttrs.hasOwnProperty(igcType) ? _igcTypeToKnownAttrs[igcType] : null;
+    this._schemaDiagnostics.push(diagnostic);
+    this._diagnostics.push(diagnostic);
   }
 
   /**
-   * Read in and process a JSON Schema from the provided filename
-   * @param {string} filename - the name of the file from which to read the JSON Schema definition
-   * @return {string[]} an array of any warnings (as strings) discovered during processing
+   * Records the error for a file from which no schema could be read, in place of the diagnostics from processing it
+   * @private
    */
-  readSchemaFromFile(filename) {
-
-    const aWarnings = [];
-
-    const schema = fs.readFileSync(filename, 'utf8');
+  _addUnreadableFileDiagnostic(filename, reason) {
+    this._schemaDiagnostics = [];
+    this._schemaId = null;
+    this._addDiagnostic('unreadable-file', 'error', "#", "Could not read a schema from '" + filename + "': " + reason);
+    return this._schemaDiagnostics;
+  }
 
-    const jsSchema = JSON.parse(schema);
-    const assetObj = {};
-  
-    const aKeys = Object.keys(jsSchema);
-    for (let i = 0; i < aKeys.length; i++) {
-      const key = aKeys[i];
-      if (jsSchema.hasOwnProperty(key)) {
-        if (key === '$schema') {
-          assetObj.$schema = jsSchema[key];
-        } else if (key === 'id') {
-          assetObj.$id = jsSchema[key];
-        } else if (key === 'description') {
-          if (jsSchema[key].length > 255) {
-            assetObj.short_description = jsSchema[key].substring(0,251) + "...";
-            assetObj.long_description  = jsSchema[key];
-          } else {
-            assetObj.short_description = jsSchema[key];
-          }
-        } else if (key === 'title') {
-          assetObj.name = jsSchema[key];
-        } else if (key === 'type') {
-          assetObj.$type = jsSchema[key];
-        } else if (key === 'enum') {
-          assetObj.$enum = JSON.parse(JSON.stringify(jsSchema[key]));
-        } else if (key !== 'properties') {
-          aWarnings.push(" ... found unexpected schema-level key: " + key);
-        }
-      }
-    }
-  
-    const aHierarchyIds = this._createContainmentHierarchyObjects(assetObj.$id);
-  
-    const schemaId = this._mapObjectToNextId(assetObj.$id);
-    if (aHierarchyIds.length > 0) {
-      this._ah.addAsset('$JSON_Schema-JSchema', assetObj.name, schemaId, assetObj, '$JSPath', aHierarchyIds[aHierarchyIds.length - 1]);
+  /**
+   * Records a diagnostic for a keyword that is not captured: only for information where it is a known keyword
+   * (see getUncapturedKeywords) or an extension keyword that is not mapped, otherwise as a warning
+   * @private
+   */
+  _addKeywordDiagnostic(code, key, path, message) {
+    const location = path + "/" + JSONSchemaOpenIGC.escapePointerToken(key);
+    if (JSONSchemaOpenIGC.getUncapturedKeywords().indexOf(key) !== -1 || key.indexOf('x-') === 0) {
+      this._addDiagnostic('uncaptured-keyword', 'info', location, "Found keyword that is not captured in IGC: " + key);
     } else {
-      this._ah.addAsset('$JSON_Schema-JSchema', assetObj.name, schemaId, assetObj);
+      this._addDiagnostic(code, 'warning', location, message);
     }
-  
-    if (jsSchema.hasOwnProperty('properties')) {
-      this._translateProperties(jsSchema.properties, '#/properties', 'JSchema', schemaId);
+  }
+
+  /**
+   * Adds an asset for a (sub-)schema, keeping track of it as a possible $ref target and of any $ref it makes itself
+   * @private
+   */
+  _addSchemaAsset(igcType, name, internalId, assetObj, parentType, parentId) {
+    this._registerRefTarget(assetObj.$id, internalId);
+    if (assetObj.hasOwnProperty('$ref')) {
+      this._addRef(assetObj.$id, assetObj.$ref, internalId);
     }
-  
-    // Provide the hierarchy IDs as partial IDs, so they do not replace any other objects
-    // already placed within those hierarchies (if they already exist)
-    this._ah.addImportAction([schemaId], aHierarchyIds);
+    this._addAsset(igcType, name, internalId, assetObj, parentType, parentId);
+  }
 
-    return aWarnings;
+  /**
+   * Keeps track of a $ref made by an asset of the schema currently being processed, to be resolved once every
+   * schema has been read
+   * @private
+   */
+  _addRef(path, ref, internalId) {
+    const entry = { "schema": this._schemaId, "path": path, "$ref": ref, "from": internalId };
+    this._refs.push(entry);
+    this._currentSchema.refs.push(entry);
+  }
 
+  /**
+   * @private
+   */
+  _registerRefTarget(path, internalId) {
+    if (!this._refTargets.hasOwnProperty(this._schemaId)) {
+      this._refTargets[this._schemaId] = {};
+    }
+    this._refTargets[this._schemaId][path] = internalId;
+    this._refTargetSchemaIds[internalId] = this._schemaId;
   }
 
   /**
-   * Get the OpenIGC asset XML representation of the JSON Schema
-   * @return {string}
+   * Find the internal ID of the asset a $ref points to, or null if it is not amongst the schemas read
+   * @private
    */
-  getOpenIGCXML() {
-    return this._ah.getCustomisedXML();
+  _getRefTargetId(schemaId, ref) {
+
+    let targetSchema = schemaId;
+    let pointer = ref;
+    // Anything other than a local reference ('#/...') is resolved against the id of the schema it appears
+    // within, and then split into the id of the target schema and the JSON Pointer within that schema
+    if (ref.indexOf('#') !== 0) {
+      // (decoded, as resolving escapes characters like spaces that are otherwise valid within an id)
+      const target = decodeURI(url.resolve(schemaId, ref));
+      const hashIndex = target.indexOf('#');
+      targetSchema = (hashIndex === -1) ? target : target.substring(0, hashIndex);
+      pointer = (hashIndex === -1) ? "#" : target.substring(hashIndex);
+    }
+    if (pointer === "#/") {
+      pointer = "#";
+    }
+    const targets = this._refTargets[targetSchema] || this._refTargets[targetSchema + "#"];
+    return (targets && targets.hasOwnProperty(pointer)) ? targets[pointer] : null;
+
   }
 
   /**
+   * Determine the identity of a schema within IGC: a '/'-separated namespace, any paths, and the schema's name
    * @private
    */
-  _mapObjectToNextId(identity) {
-    this._id_gen++;
-    const internalId = "xt" + this._id_gen;
-    this._objectIdentitiesToIds[identity] = internalId;
-    return internalId;
+  _getIdentity(schemaId, filename, title) {
+    if (this._identity === 'schema' && typeof schemaId !== 'undefined') {
+      return schemaId;
+    }
+    let aTokens = [ this._namespace ];
+    let name = title || "schema";
+    if (typeof filename !== 'undefined') {
+      if (this._identity === 'path') {
+        const relativeDir = path.relative(this._baseDirectory, path.dirname(path.resolve(filename)));
+        aTokens = aTokens.concat(relativeDir.split(path.sep).filter(function(token) {
+          return token !== '' && token !== '.';
+        }));
+      }
+      name = path.basename(filename, path.extname(filename));
+    }
+    return aTokens.concat([ name ]).join('/');
   }
 
   /**
@@ -180,14 +1246,19 @@ class JSONSchemaOpenIGC {
     let parentId = "";
     for (let i = 0; i < aTokens.length - 1; i++) {
       const token = aTokens[i];
-      const hierarchyId = this._mapObjectToNextId(token);
+      // (identified by the full path to it, as the same name can appear under different namespaces or paths)
+      const identity = ((i === 0) ? "JSNamespace:" : "JSPath:") + aTokens.slice(0, i + 1).join('/');
+      const alreadyAdded = this._objectIdentitiesToIds.hasOwnProperty(identity);
+      const hierarchyId = this._mapIdentityToId(identity);
       aIds.push(hierarchyId);
-      if (i === 0) {
-        this._ah.addAsset('$JSON_Schema-JSNamespace', token, hierarchyId, {});
+      if (alreadyAdded) {
+        // (already created by an earlier schema in the same namespace or path)
+      } else if (i === 0) {
+        this._hierarchyAssets[hierarchyId] = [ '$JSON_Schema-JSNamespace', token, hierarchyId, {} ];
       } else if (i === 1) {
-        this._ah.addAsset('$JSON_Schema-JSPath', token, hierarchyId, {}, '$JSNamespace', parentId);
+        this._hierarchyAssets[hierarchyId] = [ '$JSON_Schema-JSPath', token, hierarchyId, {}, '$JSNamespace', parentId ];
       } else {
-        this._ah.addAsset('$JSON_Schema-JSPath', token, hierarchyId, {}, '$JSPath', parentId);
+        this._hierarchyAssets[hierarchyId] = [ '$JSON_Schema-JSPath', token, hierarchyId, {}, '$JSPath', parentId ];
       }
       parentId = hierarchyId;
     }
@@ -200,6 +1271,10 @@ class JSONSchemaOpenIGC {
    */
   _translateProperties(properties, parentPath, parentType, parentId) {
 
+    if (typeof properties !== 'object' || properties === null || Array.isArray(properties)) {
+      this._addDiagnostic('invalid-subschema', 'warning', parentPath, "Found (sub-)schemas that are not given as an object, so skipping them: " + JSON.stringify(properties));
+      return;
+    }
     const aTitles = Object.keys(properties);
     for (let i = 0; i < aTitles.length; i++) {
       const title = aTitles[i];
@@ -214,18 +1289,34 @@ class JSONSchemaOpenIGC {
    * @private
    */
   _translatePropertyKeys(title, parentPath, propertyObj, parentType, parentId) {
-
     // Cannot expect titles to be globally unique -- only unique within the context of the full property hierarchy (path)
-    const path = parentPath + "/" + title;
-    const propertyId = this._mapObjectToNextId(path);
-    let propertyTypeIGC = "";
-    if (propertyObj.hasOwnProperty('type')) {
-      propertyTypeIGC = JSONSchemaOpenIGC.getIGCTypeForSchemaType(propertyObj.type);
-    } else if (propertyObj.hasOwnProperty('$ref')) {
-      propertyTypeIGC = "JSObject";
+    this._translateSchemaObject(title, parentPath + "/" + JSONSchemaOpenIGC.escapePointerToken(title), propertyObj, parentType, parentId);
+  }
+
+  /**
+   * Translates a (sub-)schema -- a property, the items of an array, etc -- into an asset named as provided
+   * @private
+   */
+  _translateSchemaObject(name, path, originalPropertyObj, parentType, parentId) {
+
+    if (!this._isTranslatableSchema(originalPropertyObj, path)) {
+      return;
+    }
+    // A boolean (sub-)schema has no keywords, so is recorded as the boolean itself
+    const propertyObj = (typeof originalPropertyObj === 'boolean') ? {} : this._normaliseKeywords(originalPropertyObj, path);
+
+    let propertyTypeIGC = JSONSchemaOpenIGC._getIGCTypeForSchemaObject(propertyObj);
+    if (propertyTypeIGC === null) {
+      this._addDiagnostic('unknown-type', 'error', path + "/type", "Found unknown type: " + JSON.stringify(propertyObj.type));
+      propertyTypeIGC = "JSPrimitive";
     }
+    const propertyId = this._mapObjectToId(propertyTypeIGC, path);
     const assetObj = {};
     assetObj.$id = path;
+    if (typeof originalPropertyObj === 'boolean') {
+      assetObj.$booleanSchema = originalPropertyObj;
+    }
+    this._addObjectKeywordsToAsset(propertyObj, assetObj);
   
     const aKeys = Object.keys(propertyObj);
     for (let i = 0; i < aKeys.length; i++) {
@@ -238,72 +1329,463 @@ class JSONSchemaOpenIGC {
           } else {
             assetObj.short_description = propertyObj.description;
           }
-        } else if (key !== 'properties' && key !== 'title' && key !== 'items') {
-          if (key === 'example') {
-            assetObj.$example = pd.json(JSON.stringify(propertyObj[key]));
+        } else if (key === 'title') {
+          assetObj.$title = propertyObj.title;
+        } else if (key === 'enum') {
+          assetObj.$enum = JSONSchemaOpenIGC._getEnumValues(propertyObj.enum);
+        } else if (this._extensions.hasOwnProperty(key)) {
+          this._addExtensionToAsset(key, propertyObj[key], path, propertyTypeIGC, assetObj);
+        } else if (JSONSchemaOpenIGC.getArrayItemKeywords().indexOf(key) !== -1) {
+          // Boolean (rather than schema) items only restrict whether any further items are allowed: 'additionalItems'
+          // in any draft, and also 'items' from 2020-12 (where it applies to any items beyond the 'prefixItems')
+          if (typeof propertyObj[key] === 'boolean' && (key === 'additionalItems' || (key === 'items' && JSONSchemaOpenIGC.isDraftAtLeast(this._draft, '2020-12')))) {
+            assetObj.$additionalItems = propertyObj[key];
+          } else if (typeof propertyObj[key] === 'boolean') {
+            this._addKeywordDiagnostic('unhandled-keyword', key, path, "Found unhandled keyword: " + key);
+          }
+        } else if (key !== 'properties' && key !== 'title' && !JSONSchemaOpenIGC._isSubschemaKeyword(key)) {
+          if (JSONSchemaOpenIGC._isJSONValuedKeyword(key)) {
+            assetObj['$' + key] = pd.json(JSON.stringify(propertyObj[key]));
+          } else if (key === '$comment') {
+            assetObj[key] = propertyObj[key];
           } else if (key === 'xml') {
-            this._addXMLDetailsToAsset(propertyObj[key], assetObj);
+            this._addXMLDetailsToAsset(propertyObj[key], path, assetObj);
+          } else if (key === 'type') {
+            this._addTypeToAsset(propertyObj[key], path, assetObj);
           } else if (JSONSchemaOpenIGC.getKnownIGCAttributes(propertyTypeIGC).indexOf('$' + key) !== -1) {
-            assetObj['$' + key] = propertyObj[key];
+            assetObj['$' + key] = JSONSchemaOpenIGC._getCapturedValue(propertyObj[key]);
           } else if (key === '$ref') {
             assetObj[key] = propertyObj[key];
-          } else if (key !== 'type') {
-            console.log(" ... found unhandled property (of '" + path + "'): " + key);
+          } else {
+            this._addKeywordDiagnostic('unhandled-keyword', key, path, "Found unhandled keyword: " + key);
           }
         }
       }
     }
   
-    this._ah.addAsset('$JSON_Schema-' + propertyTypeIGC, title, propertyId, assetObj, '$' + parentType, parentId);
+    this._addSchemaAsset('$JSON_Schema-' + propertyTypeIGC, name, propertyId, assetObj, '$' + parentType, parentId);
   
     if (propertyObj.hasOwnProperty('properties')) {
       this._translateProperties(propertyObj.properties, path + "/properties", propertyTypeIGC, propertyId);
     }
-    if (propertyObj.hasOwnProperty('items')) {
-      this._translateArrayItems(propertyObj.items, path, propertyTypeIGC, propertyId);
+    this._translateArrayItems(propertyObj, path, propertyTypeIGC, propertyId);
+    this._translateObjectSubschemas(propertyObj, path, propertyTypeIGC, propertyId);
+    this._translateCompositions(propertyObj, path, propertyTypeIGC, propertyId);
+    this._translateConditional(propertyObj, path, propertyTypeIGC, propertyId);
+  
+  }
+
+  /**
+   * Translates each of the (sub-)schemas for the items of an array into its own asset: a single schema
+   * for all items, positional schemas for tuples ('items' as an array, or 'prefixItems' from 2020-12),
+   * the schema for any items beyond those positions, and the schema that at least one item must match
+   * @private
+   */
+  _translateArrayItems(arrayObj, parentPath, parentType, parentId) {
+
+    const aKeywords = JSONSchemaOpenIGC.getArrayItemKeywords();
+    for (let i = 0; i < aKeywords.length; i++) {
+      const keyword = aKeywords[i];
+      const itemSchema = arrayObj[keyword];
+      if (Array.isArray(itemSchema)) {
+        for (let j = 0; j < itemSchema.length; j++) {
+          this._translateSchemaObject(keyword + "[" + j + "]", parentPath + "/" + keyword + "/" + j, itemSchema[j], parentType, parentId);
+        }
+      } else if (typeof itemSchema === 'object' && itemSchema !== null) {
+        this._translateSchemaObject(keyword, parentPath + "/" + keyword, itemSchema, parentType, parentId);
+      }
     }
   
   }
 
+  /**
+   * Adds the keywords that constrain the properties of an object without any (sub-)schema of their own to the asset:
+   * a boolean 'additionalProperties', and the properties required by the presence of others (whether given by
+   * 'dependentRequired' or, before 2019-09, as arrays within 'dependencies')
+   * @private
+   */
+  _addObjectKeywordsToAsset(schemaObj, assetObj) {
+    if (typeof schemaObj.additionalProperties === 'boolean') {
+      assetObj.$additionalProperties = schemaObj.additionalProperties;
+    }
+    const dependentRequired = Object.assign({}, schemaObj.dependentRequired);
+    const dependencies = schemaObj.dependencies || {};
+    const aDependencyNames = Object.keys(dependencies);
+    for (let i = 0; i < aDependencyNames.length; i++) {
+      if (Array.isArray(dependencies[aDependencyNames[i]])) {
+        dependentRequired[aDependencyNames[i]] = dependencies[aDependencyNames[i]];
+      }
+    }
+    if (Object.keys(dependentRequired).length > 0) {
+      assetObj.$dependentRequired = pd.json(JSON.stringify(dependentRequired));
+    }
+  }
+
+  /**
+   * Translates each of the (sub-)schemas for the properties of an object, other than those in 'properties', into
+   * its own asset: the schema for any additional properties, for properties matching each pattern, for the names
+   * of the properties, and for the object when each property is present
+   * @private
+   */
+  _translateObjectSubschemas(objectObj, parentPath, parentType, parentId) {
+
+    const aSingleKeywords = [ 'additionalProperties', 'propertyNames' ];
+    for (let i = 0; i < aSingleKeywords.length; i++) {
+      const keyword = aSingleKeywords[i];
+      if (typeof objectObj[keyword] === 'object' && objectObj[keyword] !== null) {
+        this._translateSchemaObject(keyword, parentPath + "/" + keyword, objectObj[keyword], parentType, parentId);
+      }
+    }
+
+    // Each of these is named by the pattern or property to which it applies
+    const aMapKeywords = [ 'patternProperties', 'dependencies', 'dependentSchemas' ];
+    for (let i = 0; i < aMapKeywords.length; i++) {
+      const keyword = aMapKeywords[i];
+      const schemas = objectObj[keyword] || {};
+      const aNames = Object.keys(schemas);
+      for (let j = 0; j < aNames.length; j++) {
+        const name = aNames[j];
+        if (typeof schemas[name] === 'object' && schemas[name] !== null && !Array.isArray(schemas[name])) {
+          this._translateSchemaObject(name, parentPath + "/" + keyword + "/" + JSONSchemaOpenIGC.escapePointerToken(name), schemas[name], parentType, parentId);
+        }
+      }
+    }
+
+  }
+
+  /**
+   * Get the OpenIGC asset type for a (sub-)schema: from its type where it has one, otherwise from the keywords it uses
+   * @private
+   */
+  static _getIGCTypeForSchemaObject(schemaObj) {
+    if (schemaObj.hasOwnProperty('type')) {
+      return JSONSchemaOpenIGC.getIGCTypeForSchemaType(schemaObj.type);
+    }
+    const aObjectKeywords = [ '$ref', 'properties', 'required', 'maxProperties', 'minProperties' ].concat(JSONSchemaOpenIGC.getObjectPropertyKeywords());
+    const aArrayKeywords = [ 'maxItems', 'minItems', 'uniqueItems', 'maxContains', 'minContains' ].concat(JSONSchemaOpenIGC.getArrayItemKeywords());
+    for (let i = 0; i < aObjectKeywords.length; i++) {
+      if (schemaObj.hasOwnProperty(aObjectKeywords[i])) {
+        return "JSObject";
+      }
+    }
+    for (let i = 0; i < aArrayKeywords.length; i++) {
+      if (schemaObj.hasOwnProperty(aArrayKeywords[i])) {
+        return "JSArray";
+      }
+    }
+    return (JSONSchemaOpenIGC._hasComposition(schemaObj) || schemaObj.hasOwnProperty('if')) ? "JSObject" : "JSPrimitive";
+  }
+
+  /**
+   * Indicates whether the keyword holds (sub-)schemas that are translated into assets of their own, rather than attributes
+   * @private
+   */
+  static _isSubschemaKeyword(key) {
+    return JSONSchemaOpenIGC.getObjectPropertyKeywords().indexOf(key) !== -1 ||
+        JSONSchemaOpenIGC.getCompositionKeywords().indexOf(key) !== -1 ||
+        JSONSchemaOpenIGC.getConditionalKeywords().indexOf(key) !== -1;
+  }
+
+  /**
+   * Indicates whether the keyword can hold any JSON value, and so is captured as JSON
+   * @private
+   */
+  static _isJSONValuedKeyword(key) {
+    return key === 'default' || key === 'example' || key === 'examples' || key === 'const';
+  }
+
+  /**
+   * Get the value of a keyword as it is captured in an attribute: as it is, unless it is an object (like the
+   * discriminator of OpenAPI 3, rather than the property name of OpenAPI 2), which is captured as JSON
+   * @private
+   */
+  static _getCapturedValue(value) {
+    return (typeof value === 'object' && value !== null && !Array.isArray(value)) ? pd.json(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Get the values of an enum as they are captured: each as JSON, so that a value other than a string (including
+   * null) is kept as the value it is
+   * @private
+   */
+  static _getEnumValues(aValues) {
+    return [].concat(aValues).map(function(value) {
+      return JSON.stringify(value);
+    });
+  }
+
+  /**
+   * @private
+   */
+  static _hasComposition(schemaObj) {
+    const aKeywords = JSONSchemaOpenIGC.getCompositionKeywords();
+    for (let i = 0; i < aKeywords.length; i++) {
+      if (schemaObj.hasOwnProperty(aKeywords[i])) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _translateCompositions(schemaObj, parentPath, parentType, parentId) {
+
+    const aKeywords = JSONSchemaOpenIGC.getCompositionKeywords();
+    for (let i = 0; i < aKeywords.length; i++) {
+      const keyword = aKeywords[i];
+      if (schemaObj.hasOwnProperty(keyword)) {
+        this._translateComposition(keyword, schemaObj[keyword], parentPath, parentType, parentId);
+      }
+    }
+
+  }
+
+  /**
+   * @private
+   */
+  _translateComposition(keyword, subschemas, parentPath, parentType, parentId) {
+
+    const path = parentPath + "/" + keyword;
+    if (keyword !== 'not' && !Array.isArray(subschemas)) {
+      this._addDiagnostic('invalid-subschema', 'warning', path, "Found (sub-)schemas that are not given as an array, so skipping them: " + JSON.stringify(subschemas));
+      return;
+    }
+    // 'not' takes a single schema, which has the keyword's JSON Pointer itself, so the composition is given one of
+    // its own (using a token that can never be a keyword, so that it cannot be confused with any schema)
+    const compositionPath = (keyword === 'not') ? parentPath + "/not-composition" : path;
+    const compositionId = this._mapObjectToId('JSComposition', compositionPath);
+    this._addAsset('$JSON_Schema-JSComposition', keyword, compositionId, { "$id": compositionPath, "$keyword": keyword }, '$' + parentType, parentId);
+
+    // ... while all of the others take an array of schemas
+    if (keyword === 'not') {
+      this._translateBranch(subschemas, path, JSONSchemaOpenIGC._getBranchName(subschemas, ""), 'JSComposition', compositionId);
+    } else {
+      for (let i = 0; i < subschemas.length; i++) {
+        this._translateBranch(subschemas[i], path + "/" + i, JSONSchemaOpenIGC._getBranchName(subschemas[i], "" + i), 'JSComposition', compositionId);
+      }
+    }
+
+  }
+
+  /**
+   * Translates if / then / else into a single conditional asset, with a branch for each of the keywords given
+   * (then and else have no effect without an if, so are only translated alongside one)
+   * @private
+   */
+  _translateConditional(schemaObj, parentPath, parentType, parentId) {
+
+    if (!schemaObj.hasOwnProperty('if')) {
+      return;
+    }
+    const aKeywords = JSONSchemaOpenIGC.getConditionalKeywords().filter(function(keyword) {
+      return schemaObj.hasOwnProperty(keyword);
+    });
+    // There is no single JSON Pointer for the conditional, so it is given one of its own beneath the schema it applies
+    // to (using a token that can never be a keyword, so that it cannot be confused with that schema or any branch)
+    const path = parentPath + "/if-then-else";
+    const conditionalId = this._mapObjectToId('JSConditional', path);
+    this._addAsset('$JSON_Schema-JSConditional', aKeywords.join(' / '), conditionalId, { "$id": path }, '$' + parentType, parentId);
+    for (let i = 0; i < aKeywords.length; i++) {
+      this._translateBranch(schemaObj[aKeywords[i]], parentPath + "/" + aKeywords[i], aKeywords[i], 'JSConditional', conditionalId);
+    }
+
+  }
+
+  /**
+   * Name a branch for whatever it is most recognisable by: an explicit title, the name of
+   * the definition it references, its type, or (as a last resort) its position
+   * @private
+   */
+  static _getBranchName(branchObj, position) {
+    let name = position;
+    if (typeof branchObj !== 'object' || branchObj === null) {
+      // (a boolean sub-schema, or one that cannot be translated at all)
+    } else if (branchObj.hasOwnProperty('title')) {
+      name = branchObj.title;
+    } else if (branchObj.hasOwnProperty('$ref')) {
+      name = branchObj.$ref.split('/').pop();
+    } else if (branchObj.hasOwnProperty('type')) {
+      name = "" + JSONSchemaOpenIGC.getPrimaryType(branchObj.type);
+    }
+    return (name === "") ? "schema" : name;
+  }
+
   /**
    * @private
    */
-  _translateArrayItems(items, parentPath, parentType, parentId) {
+  _translateBranch(originalBranchObj, path, name, parentType, parentId) {
+
+    if (!this._isTranslatableSchema(originalBranchObj, path)) {
+      return;
+    }
+    // (a boolean sub-schema recorded as the boolean itself, as for any other)
+    const branchObj = (typeof originalBranchObj === 'boolean') ? {} : this._normaliseKeywords(originalBranchObj, path);
 
-    const path = parentPath + "/items";
-    const itemId = this._mapObjectToNextId(path);
+    const branchId = this._mapObjectToId('JSBranch', path);
     const assetObj = {};
-  
-    let arrayItemTypeIGC = "JSPrimitive";
-    let bObject = false;
-  
-    const aKeys = Object.keys(items);
+    assetObj.$id = path;
+    if (typeof originalBranchObj === 'boolean') {
+      assetObj.$booleanSchema = originalBranchObj;
+    }
+    this._addObjectKeywordsToAsset(branchObj, assetObj);
+
+    const aKeys = Object.keys(branchObj);
     for (let i = 0; i < aKeys.length; i++) {
       const key = aKeys[i];
-      if (items.hasOwnProperty(key)) {
-        if (key === 'type') {
-          arrayItemTypeIGC = JSONSchemaOpenIGC.getIGCTypeForSchemaType(items.type);
-          bObject = (arrayItemTypeIGC === 'JSObject');
-        } else if (key === '$ref') {
-          assetObj.$ref = items.$ref;
-          arrayItemTypeIGC = "JSObject";
-        } else if (key !== 'type' && key !== 'properties') {
-          console.log(" ... found unhandled array item type: " + key);
+      if (branchObj.hasOwnProperty(key)) {
+        if (key === 'description') {
+          if (branchObj.description.length > 255) {
+            assetObj.short_description = branchObj.description.substring(0,251) + "...";
+            assetObj.long_description  = branchObj.description;
+          } else {
+            assetObj.short_description = branchObj.description;
+          }
+        } else if (key === 'title') {
+          assetObj.$title = branchObj.title;
+        } else if (key === 'enum') {
+          assetObj.$enum = JSONSchemaOpenIGC._getEnumValues(branchObj.enum);
+        } else if (this._extensions.hasOwnProperty(key)) {
+          this._addExtensionToAsset(key, branchObj[key], path, 'JSBranch', assetObj);
+        } else if (key !== 'properties' && key !== 'title' && JSONSchemaOpenIGC.getArrayItemKeywords().indexOf(key) === -1 && !JSONSchemaOpenIGC._isSubschemaKeyword(key)) {
+          if (JSONSchemaOpenIGC._isJSONValuedKeyword(key)) {
+            assetObj['$' + key] = pd.json(JSON.stringify(branchObj[key]));
+          } else if (key === '$comment') {
+            assetObj[key] = branchObj[key];
+          } else if (key === 'xml') {
+            this._addXMLDetailsToAsset(branchObj[key], path, assetObj);
+          } else if (key === 'type') {
+            this._addTypeToAsset(branchObj[key], path, assetObj);
+          } else if (key === '$ref') {
+            assetObj[key] = branchObj[key];
+          } else if (JSONSchemaOpenIGC.getKnownIGCAttributes('JSBranch').indexOf('$' + key) !== -1) {
+            assetObj['$' + key] = JSONSchemaOpenIGC._getCapturedValue(branchObj[key]);
+          } else {
+            this._addKeywordDiagnostic('unhandled-keyword', key, path, "Found unhandled keyword: " + key);
+          }
         }
       }
     }
-  
-    this._ah.addAsset("$JSON_Schema-" + arrayItemTypeIGC, "items", itemId, assetObj, '$' + parentType, parentId);
-    if (bObject && items.hasOwnProperty("properties")) {
-      this._translateProperties(items.properties, path + "/properties", arrayItemTypeIGC, itemId);
+
+    this._addSchemaAsset('$JSON_Schema-JSBranch', name, branchId, assetObj, '$' + parentType, parentId);
+
+    if (branchObj.hasOwnProperty('properties')) {
+      this._translateProperties(branchObj.properties, path + "/properties", 'JSBranch', branchId);
+    }
+    this._translateArrayItems(branchObj, path, 'JSBranch', branchId);
+    this._translateObjectSubschemas(branchObj, path, 'JSBranch', branchId);
+    this._translateCompositions(branchObj, path, 'JSBranch', branchId);
+    this._translateConditional(branchObj, path, 'JSBranch', branchId);
+
+  }
+
+  /**
+   * Indicates whether the value given for a (sub-)schema can be translated: an object, or a boolean; anything else
+   * is reported, as it is skipped
+   * @private
+   */
+  _isTranslatableSchema(schemaObj, path) {
+    if (typeof schemaObj === 'boolean' || (typeof schemaObj === 'object' && schemaObj !== null && !Array.isArray(schemaObj))) {
+      return true;
+    }
+    this._addDiagnostic('invalid-subschema', 'warning', path, "Found a (sub-)schema that is neither an object nor a boolean, so skipping it: " + JSON.stringify(schemaObj));
+    return false;
+  }
+
+  /**
+   * Normalises the keywords whose meaning differs between drafts into the form the bundle captures them in
+   * (that of draft-04, on which OpenAPI 2.0 is based): from draft-06, exclusiveMaximum / exclusiveMinimum
+   * are the (numeric) limit itself, rather than a boolean qualifying maximum / minimum
+   * @private
+   */
+  _normaliseKeywords(schemaObj, path) {
+    if (!JSONSchemaOpenIGC.isDraftAtLeast(this._draft, 'draft-06')) {
+      return schemaObj;
+    }
+    const normalised = Object.assign({}, schemaObj);
+    const aLimits = [ [ 'exclusiveMaximum', 'maximum', 1 ], [ 'exclusiveMinimum', 'minimum', -1 ] ];
+    for (let i = 0; i < aLimits.length; i++) {
+      const exclusiveKey = aLimits[i][0];
+      const inclusiveKey = aLimits[i][1];
+      const direction = aLimits[i][2];
+      if (typeof schemaObj[exclusiveKey] === 'number') {
+        // Where both are given, only the tighter of the two limits has any effect
+        if (schemaObj.hasOwnProperty(inclusiveKey) && (schemaObj[inclusiveKey] - schemaObj[exclusiveKey]) * direction < 0) {
+          delete normalised[exclusiveKey];
+          this._addDiagnostic('normalised-keyword', 'info', path + "/" + exclusiveKey, "Dropped " + exclusiveKey + " as it is looser than " + inclusiveKey);
+        } else {
+          normalised[inclusiveKey] = schemaObj[exclusiveKey];
+          normalised[exclusiveKey] = true;
+          this._addDiagnostic('normalised-keyword', 'info', path + "/" + exclusiveKey, "Translated numeric " + exclusiveKey + " into " + inclusiveKey + " with a boolean " + exclusiveKey);
+        }
+      }
+    }
+    return normalised;
+  }
+
+  /**
+   * Captures the value of an extension keyword as it is mapped: either on the asset itself or as a relationship
+   * @private
+   */
+  _addExtensionToAsset(keyword, value, path, igcType, assetObj) {
+    const target = this._extensions[keyword];
+    if (target.hasOwnProperty('relationship')) {
+      this._relationships.push({
+        "schema": this._schemaId,
+        "path": path,
+        "type": igcType,
+        "relationship": target.relationship,
+        "rids": [].concat(value),
+        "lineage": (target.lineage === true)
+      });
+    } else if (Array.isArray(value) && value.every(JSONSchemaOpenIGC._isScalar)) {
+      assetObj['$' + target.attribute] = value.slice();
+    } else if (!JSONSchemaOpenIGC._isScalar(value)) {
+      assetObj['$' + target.attribute] = pd.json(JSON.stringify(value));
+    } else {
+      assetObj['$' + target.attribute] = value;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _isScalar(value) {
+    return typeof value !== 'object' || value === null;
+  }
+
+  /**
+   * Records the type of a schema on its asset: a list of types is recorded in full, alongside the primary
+   * type and whether it allows null
+   * @private
+   */
+  _addTypeToAsset(schemaType, path, assetObj) {
+    if (!Array.isArray(schemaType)) {
+      assetObj.$type = schemaType;
+      return;
+    }
+    assetObj.$type = JSONSchemaOpenIGC.getPrimaryType(schemaType);
+    assetObj.$types = schemaType.slice();
+    if (schemaType.indexOf('null') !== -1) {
+      assetObj.$nullable = true;
+    }
+    const aNonNull = schemaType.filter(function(type) {
+      return type !== 'null';
+    });
+    if (aNonNull.length > 1) {
+      this._addDiagnostic('mixed-type', 'info', path + "/type", "Translated a mix of types (" + aNonNull.join(', ') + ") as: " + assetObj.$type);
     }
-  
   }
 
   /**
    * @private
    */
-  _addXMLDetailsToAsset(xmlDetails, assetObj) {
+  _addXMLDetailsToAsset(xmlDetails, path, assetObj) {
+    if (typeof xmlDetails !== 'object' || xmlDetails === null || Array.isArray(xmlDetails)) {
+      this._addDiagnostic('unhandled-keyword', 'warning', path + "/xml", "Found xml details that are not an object, so skipping them: " + JSON.stringify(xmlDetails));
+      return;
+    }
     const xmlKeys = Object.keys(xmlDetails);
     for (let i = 0; i < xmlKeys.length; i++) {
       const key = xmlKeys[i];
@@ -0,0 +1,389 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const DOMParser = require('@xmldom/xmldom').DOMParser;
+const JSONSchemaOpenIGC = require('./json-schema-open-igc');
+const JSONSchemaBundle = require('./json-schema-bundle');
+
+/**
+ * OpenIGCJSONSchema class -- for rebuilding JSON Schema documents from their OpenIGC representation
+ */
+class OpenIGCJSONSchema {
+
+  /**
+   * Initialises an (empty) set of OpenIGC assets from which to rebuild JSON Schemas
+   *
+   * @function
+   * @param {Object} [options] - options for rebuilding the schemas
+   * @param {Object} [options.extensions] - the mapping of extension keywords (x-...) to IGC attributes the schemas were read with (see JSONSchemaOpenIGC.validateExtensionMapping), so that those attributes are rebuilt as the extension keywords
+   */
+  constructor(options) {
+    this._options = options || {};
+    this._assetsById = {};
+    this._attributesToExtensions = {};
+    const extensions = JSONSchemaOpenIGC.validateExtensionMapping(this._options.extensions || {});
+    const aKeywords = Object.keys(extensions);
+    for (let i = 0; i < aKeywords.length; i++) {
+      if (extensions[aKeywords[i]].hasOwnProperty('attribute')) {
+        this._attributesToExtensions['$' + extensions[aKeywords[i]].attribute] = aKeywords[i];
+      }
+    }
+  }
+
+  /**
+   * Get the list of attributes that are numeric in the OpenIGC bundle
+   * @return {string[]}
+   */
+  static getNumericAttributes() {
+    return JSONSchemaBundle.getNumericAttributes();
+  }
+
+  /**
+   * Get the list of attributes that are booleans in JSON Schema, but strings in the OpenIGC bundle
+   * @return {string[]}
+   */
+  static getBooleanAttributes() {
+    return JSONSchemaBundle.getBooleanAttributes();
+  }
+
+  /**
+   * Read in the JSON Schema assets from the OpenIGC asset XML in the provided filename
+   * @param {string} filename - the name of the file containing the OpenIGC asset XML
+   */
+  readOpenIGCXMLFromFile(filename) {
+    this.readOpenIGCXML(fs.readFileSync(filename, 'utf8'));
+  }
+
+  /**
+   * Read in the JSON Schema assets ($JSON_Schema-*) from the provided OpenIGC asset XML (any other assets are ignored)
+   * @param {string} xml - the OpenIGC asset XML
+   */
+  readOpenIGCXML(xml) {
+
+    const doc = new DOMParser().parseFromString(xml, 'text/xml');
+    const assets = doc.getElementsByTagName('asset');
+    for (let i = 0; i < assets.length; i++) {
+      const asset = assets.item(i);
+      const className = asset.getAttribute('class');
+      if (className.indexOf('$JSON_Schema-') === 0) {
+        const assetObj = {
+          "type": className.substring('$JSON_Schema-'.length),
+          "name": asset.getAttribute('repr'),
+          "attrs": {},
+          "parentId": null
+        };
+        const children = asset.childNodes;
+        for (let j = 0; j < children.length; j++) {
+          const child = children.item(j);
+          if (child.nodeName === 'attribute') {
+            OpenIGCJSONSchema._addAttributeValue(assetObj.attrs, child.getAttribute('name'), child.getAttribute('value'));
+          } else if (child.nodeName === 'reference' && child.getAttribute('name').indexOf('$') === 0 && child.getAttribute('name') !== JSONSchemaBundle.getRefTargetReference()) {
+            // Only the containment reference is prefixed by '$' (eg. '$JSObject'), other than the $ref's target
+            assetObj.parentId = child.getAttribute('assetIDs');
+          }
+        }
+        if (assetObj.attrs.hasOwnProperty('name')) {
+          assetObj.name = assetObj.attrs.name;
+        }
+        this._assetsById[asset.getAttribute('ID')] = assetObj;
+      }
+    }
+
+  }
+
+  /**
+   * Get the ids of all of the JSON Schemas read
+   * @return {string[]}
+   */
+  getSchemaIds() {
+    const aIds = [];
+    const aAssetIds = Object.keys(this._assetsById);
+    for (let i = 0; i < aAssetIds.length; i++) {
+      const asset = this._assetsById[aAssetIds[i]];
+      if (asset.type === 'JSchema') {
+        aIds.push(asset.attrs.$id);
+      }
+    }
+    return aIds;
+  }
+
+  /**
+   * Get all of the JSON Schemas read, rebuilt as JSON Schema documents
+   * @return {Object} a map from the id of each JSON Schema to the rebuilt JSON Schema document
+   */
+  getSchemas() {
+    const hmSchemas = {};
+    const aIds = this.getSchemaIds();
+    for (let i = 0; i < aIds.length; i++) {
+      hmSchemas[aIds[i]] = this.getSchema(aIds[i]);
+    }
+    return hmSchemas;
+  }
+
+  /**
+   * Get a single JSON Schema, rebuilt as a JSON Schema document
+   * @param {string} schemaId - the id of the JSON Schema
+   * @return {Object} the rebuilt JSON Schema document, or null if there is no JSON Schema with that id
+   */
+  getSchema(schemaId) {
+
+    let rootId = null;
+    const aAssetIds = Object.keys(this._assetsById);
+    for (let i = 0; i < aAssetIds.length && rootId === null; i++) {
+      const asset = this._assetsById[aAssetIds[i]];
+      if (asset.type === 'JSchema' && asset.attrs.$id === schemaId) {
+        rootId = aAssetIds[i];
+      }
+    }
+    if (rootId === null) {
+      return null;
+    }
+
+    const root = this._assetsById[rootId];
+    // Schemas loaded before the draft was recorded can only have been read as draft-04
+    const draft = root.attrs.$draft || JSONSchemaOpenIGC.getDraft(root.attrs.$schema);
+    const jsSchema = {};
+    if (root.attrs.hasOwnProperty('$schema')) {
+      jsSchema.$schema = root.attrs.$schema;
+    }
+    jsSchema[JSONSchemaOpenIGC.getIdKeyword(draft)] = schemaId;
+    // (any schema loaded before its title was recorded separately took its name from it)
+    if (!root.attrs.hasOwnProperty('$draft')) {
+      jsSchema.title = root.name;
+    }
+    Object.assign(jsSchema, OpenIGCJSONSchema._getSchemaKeywords(root, draft, this._attributesToExtensions));
+
+    // Place every asset contained (at any depth) within the schema at the JSON Pointer given by its $id,
+    // parents before children
+    const aContained = this._getContainedAssets(rootId, '#');
+    aContained.sort(function(a, b) {
+      return a.pointer.split('/').length - b.pointer.split('/').length;
+    });
+    for (let i = 0; i < aContained.length; i++) {
+      const contained = aContained[i];
+      if (contained.asset.type === 'JSComposition') {
+        if (contained.asset.attrs.$keyword !== 'not') {
+          OpenIGCJSONSchema._setAtPointer(jsSchema, contained.pointer, []);
+        }
+      } else if (contained.asset.type !== 'JSConditional') {
+        OpenIGCJSONSchema._setAtPointer(jsSchema, contained.pointer, OpenIGCJSONSchema._getSchemaKeywords(contained.asset, draft, this._attributesToExtensions));
+      }
+    }
+
+    return jsSchema;
+
+  }
+
+  /**
+   * @private
+   */
+  _getContainedAssets(parentId, parentPointer) {
+    let aContained = [];
+    const aAssetIds = Object.keys(this._assetsById);
+    for (let i = 0; i < aAssetIds.length; i++) {
+      const asset = this._assetsById[aAssetIds[i]];
+      if (asset.parentId === parentId) {
+        let pointer = asset.attrs.$id;
+        // Array items loaded before they were given an $id can still be placed by their name
+        if (typeof pointer === 'undefined') {
+          pointer = parentPointer + ((asset.name === 'items') ? "/items" : "/properties/" + JSONSchemaOpenIGC.escapePointerToken(asset.name));
+        }
+        aContained.push({ "asset": asset, "pointer": pointer });
+        aContained = aContained.concat(this._getContainedAssets(aAssetIds[i], pointer));
+      }
+    }
+    return aContained;
+  }
+
+  /**
+   * @private
+   */
+  static _addAttributeValue(attrs, name, value) {
+    if (attrs.hasOwnProperty(name)) {
+      if (!Array.isArray(attrs[name])) {
+        attrs[name] = [ attrs[name] ];
+      }
+      attrs[name].push(value);
+    } else {
+      attrs[name] = value;
+    }
+  }
+
+  /**
+   * Translate the attributes of an asset back into the JSON Schema keywords they were created from, in the form used by
+   * the draft (or, for a boolean (sub-)schema, back into the boolean itself)
+   * @private
+   */
+  static _getSchemaKeywords(asset, draft, hmAttributesToExtensions) {
+
+    const schemaObj = {};
+    const attrs = asset.attrs;
+    if (attrs.hasOwnProperty('$booleanSchema')) {
+      return (attrs.$booleanSchema === 'true');
+    }
+
+    const aNames = Object.keys(attrs);
+    for (let i = 0; i < aNames.length; i++) {
+      const name = aNames[i];
+      const value = attrs[name];
+      const keyword = name.substring(1);
+      if (hmAttributesToExtensions.hasOwnProperty(name)) {
+        schemaObj[hmAttributesToExtensions[name]] = OpenIGCJSONSchema._getExtensionValue(value);
+      } else if (name === 'long_description') {
+        schemaObj.description = value;
+      } else if (name === 'short_description') {
+        if (!attrs.hasOwnProperty('long_description')) {
+          schemaObj.description = value;
+        }
+      } else if (name === '$type' && attrs.hasOwnProperty('$types')) {
+        schemaObj.type = [].concat(attrs.$types);
+      } else if (name === '$types' || (name === '$nullable' && attrs.hasOwnProperty('$types'))) {
+        // (a list of types is given by the 'type' keyword itself, including whether it is nullable)
+      } else if (name === '$ref') {
+        schemaObj.$ref = value;
+      } else if (name === '$example' || name === '$examples' || name === '$const') {
+        schemaObj[keyword] = OpenIGCJSONSchema._parseJSON(value);
+      } else if (name === '$comment') {
+        schemaObj.$comment = value;
+      } else if (name === '$default') {
+        schemaObj.default = OpenIGCJSONSchema._parseJSON(value);
+      } else if (name === '$enum') {
+        schemaObj.enum = [].concat(value).map(OpenIGCJSONSchema._parseJSON);
+      } else if (name === '$discriminator') {
+        // (an object, as in OpenAPI 3, having been captured as JSON)
+        schemaObj.discriminator = (value.trim().indexOf('{') === 0) ? OpenIGCJSONSchema._parseJSON(value) : value;
+      } else if (name === '$required') {
+        schemaObj.required = [].concat(value);
+      } else if (name === '$dependentRequired') {
+        // Before 2019-09 these were arrays within 'dependencies' (alongside any schemas, which are placed as children)
+        schemaObj[JSONSchemaOpenIGC.isDraftAtLeast(draft, '2019-09') ? 'dependentRequired' : 'dependencies'] = OpenIGCJSONSchema._parseJSON(value);
+      } else if (keyword.indexOf('xml_') === 0) {
+        schemaObj.xml = schemaObj.xml || {};
+        schemaObj.xml[keyword.substring(4)] = OpenIGCJSONSchema._getTypedValue(keyword, value);
+      } else if (name.indexOf('$') === 0 && name !== '$id' && name !== '$schema' && name !== '$keyword' && name !== '$draft') {
+        schemaObj[keyword] = OpenIGCJSONSchema._getTypedValue(keyword, value);
+      }
+    }
+    if (JSONSchemaOpenIGC.isDraftAtLeast(draft, 'draft-06')) {
+      OpenIGCJSONSchema._denormaliseLimits(schemaObj);
+    }
+    // From 2020-12 a boolean for any further items is given by 'items' itself (any schemas for them are placed as children)
+    if (JSONSchemaOpenIGC.isDraftAtLeast(draft, '2020-12') && schemaObj.hasOwnProperty('additionalItems')) {
+      schemaObj.items = schemaObj.additionalItems;
+      delete schemaObj.additionalItems;
+    }
+    return schemaObj;
+
+  }
+
+  /**
+   * Reverses the normalisation of exclusiveMaximum / exclusiveMinimum into booleans, for drafts where they are the limit itself
+   * @private
+   */
+  static _denormaliseLimits(schemaObj) {
+    const aLimits = [ [ 'exclusiveMaximum', 'maximum' ], [ 'exclusiveMinimum', 'minimum' ] ];
+    for (let i = 0; i < aLimits.length; i++) {
+      const exclusiveKey = aLimits[i][0];
+      const inclusiveKey = aLimits[i][1];
+      if (schemaObj[exclusiveKey] === true) {
+        schemaObj[exclusiveKey] = schemaObj[inclusiveKey];
+        delete schemaObj[inclusiveKey];
+      } else if (schemaObj[exclusiveKey] === false) {
+        delete schemaObj[exclusiveKey];
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _getTypedValue(keyword, value) {
+    if (OpenIGCJSONSchema.getNumericAttributes().indexOf(keyword) !== -1) {
+      return Number(value);
+    } else if (OpenIGCJSONSchema.getBooleanAttributes().indexOf(keyword) !== -1) {
+      // exclusiveMaximum / exclusiveMinimum are numbers rather than booleans from draft-06 onwards
+      return (value === 'true' || value === 'false') ? (value === 'true') : Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * Convert an attribute captured from an extension keyword back to the value of the keyword: any structured value
+   * having been captured as JSON, and any boolean as a string
+   * @private
+   */
+  static _getExtensionValue(value) {
+    if (Array.isArray(value)) {
+      return value;
+    } else if (value === 'true' || value === 'false') {
+      return (value === 'true');
+    } else if (typeof value === 'string' && (value.trim().indexOf('{') === 0 || value.trim().indexOf('[') === 0)) {
+      return OpenIGCJSONSchema._parseJSON(value);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  static _parseJSON(value) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  /**
+   * Set the value at the provided JSON Pointer ('#/...') within the object, creating any intermediate
+   * objects (or arrays, only under the keywords that hold an array of schemas) and merging into any existing object
+   * @private
+   */
+  static _setAtPointer(obj, pointer, value) {
+    const aTokens = pointer.split('/').slice(1).map(function(token) {
+      return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+    if (aTokens.length === 0) {
+      return;
+    }
+    // Whether each token is a keyword, rather than the name of a property (or definition, etc) or an array index
+    const aNamedKeywords = [ 'properties', 'definitions', '$defs', 'patternProperties', 'dependencies', 'dependentSchemas' ];
+    const aArrayKeywords = [ 'items', 'prefixItems' ].concat(JSONSchemaOpenIGC.getCompositionKeywords());
+    let bKeyword = true;
+    let current = obj;
+    for (let i = 0; i < aTokens.length - 1; i++) {
+      const token = aTokens[i];
+      const bArray = bKeyword && aArrayKeywords.indexOf(token) !== -1 && /^[0-9]+$/.test(aTokens[i + 1]);
+      if (typeof current[token] !== 'object' || current[token] === null) {
+        current[token] = bArray ? [] : {};
+      }
+      current = current[token];
+      bKeyword = !(bKeyword && (bArray || aNamedKeywords.indexOf(token) !== -1));
+    }
+    const last = aTokens[aTokens.length - 1];
+    if (typeof current[last] === 'object' && current[last] !== null && !Array.isArray(value)) {
+      Object.assign(current[last], value);
+    } else {
+      current[last] = value;
+    }
+  }
+
+}
+
+module.exports = OpenIGCJSONSchema;
@@ -0,0 +1,204 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const JSONSchemaOpenIGC = require('./json-schema-open-igc');
+
+/**
+ * OpenAPIOpenIGC class -- for handling the schemas of an OpenAPI (Swagger) document as JSON Schema OpenIGC representations
+ */
+class OpenAPIOpenIGC {
+
+  /**
+   * Initialises an OpenAPI object for OpenIGC
+   *
+   * @function
+   * @param {string} [namespace] - an optional namespace within which to scope the API (eg. https://www.ibm.com/apis)
+   */
+  constructor(namespace) {
+    this._namespace = namespace || "";
+    // (leniently, so that only a schema with errors is left out of the API's assets, and without validating against
+    // a JSON Schema meta-schema, as OpenAPI schemas are only an extended subset of JSON Schema)
+    this._schemaHandler = new JSONSchemaOpenIGC({ mode: 'lenient', validate: false });
+  }
+
+  /**
+   * Get the location of the re-usable schemas within an OpenAPI document
+   * @param {Object} apiDoc - the OpenAPI document
+   * @return {string} the JSON Pointer to the schemas: '#/definitions' for OpenAPI 2.0 (Swagger), '#/components/schemas' for OpenAPI 3.x
+   */
+  static getSchemasPointer(apiDoc) {
+    if (apiDoc.hasOwnProperty('swagger') && ("" + apiDoc.swagger).indexOf('2.') === 0) {
+      return "#/definitions";
+    } else if (apiDoc.hasOwnProperty('openapi') && ("" + apiDoc.openapi).indexOf('3.') === 0) {
+      return "#/components/schemas";
+    }
+    throw new Error("Not an OpenAPI 2.0 or 3.x document: no 'swagger' or 'openapi' version found");
+  }
+
+  /**
+   * Get the URI of the JSON Schema dialect of the schemas within an OpenAPI document
+   * @param {Object} apiDoc - the OpenAPI document
+   * @return {string} the dialect given by the document's 'jsonSchemaDialect', or 2020-12 for OpenAPI 3.1 onwards; or null for OpenAPI 2.0 and 3.0 (whose schemas are treated as draft-04, the default draft)
+   */
+  static getSchemaDialect(apiDoc) {
+    if (apiDoc.hasOwnProperty('openapi') && !/^3\.0(\.|$)/.test("" + apiDoc.openapi)) {
+      return apiDoc.jsonSchemaDialect || JSONSchemaOpenIGC.getMetaSchemaURI('2020-12');
+    }
+    return null;
+  }
+
+  /**
+   * Read in and process all of the schemas of the OpenAPI document in the provided filename
+   * @param {string} filename - the name of the file (JSON, or YAML if it has a .yaml or .yml extension) from which to read the OpenAPI document
+   * @return {Object} a map from the name of each schema to an array of the diagnostics from processing it
+   */
+  readAPIFromFile(filename) {
+    return this.readAPIFromString(fs.readFileSync(filename, 'utf8'), JSONSchemaOpenIGC.getFormatForFile(filename));
+  }
+
+  /**
+   * Parse and process all of the schemas of the provided OpenAPI document
+   * @param {string} apiDoc - the OpenAPI document, as JSON or YAML
+   * @param {string} [format] - either 'json' or 'yaml'; if not provided, the content is treated as JSON if it starts with '{' and YAML otherwise
+   * @return {Object} a map from the name of each schema to an array of the diagnostics from processing it
+   */
+  readAPIFromString(apiDoc, format) {
+    return this.readAPIFromObject(JSONSchemaOpenIGC.parseString(apiDoc, format));
+  }
+
+  /**
+   * Process all of the schemas of an OpenAPI document that has already been parsed into an object
+   * @param {Object} apiDoc - the OpenAPI document
+   * @return {Object} a map from the name of each schema to an array of the diagnostics from processing it
+   */
+  readAPIFromObject(apiDoc) {
+
+    const schemasPointer = OpenAPIOpenIGC.getSchemasPointer(apiDoc);
+    const schemas = (schemasPointer === "#/definitions") ? apiDoc.definitions : (apiDoc.components || {}).schemas;
+    const apiId = this.getAPIId(apiDoc);
+    const dialect = OpenAPIOpenIGC.getSchemaDialect(apiDoc);
+
+    const hmDiagnostics = {};
+    const aNames = Object.keys(schemas || {});
+    for (let i = 0; i < aNames.length; i++) {
+      const name = aNames[i];
+      if (typeof schemas[name] !== 'object' || schemas[name] === null || Array.isArray(schemas[name])) {
+        // (eg. a boolean schema, allowed from OpenAPI 3.1, which has no keywords to capture as assets)
+        hmDiagnostics[name] = [{
+          "code": 'unsupported-schema',
+          "severity": 'error',
+          "schema": apiId + "/" + name,
+          "location": "#",
+          "message": "Found a schema that is not an object, so skipping it: " + JSON.stringify(schemas[name])
+        }];
+      } else {
+        hmDiagnostics[name] = this._readSchema(schemas[name], apiId + "/" + name, schemasPointer, dialect);
+      }
+    }
+    return hmDiagnostics;
+
+  }
+
+  /**
+   * Read a single schema of the API, under the provided id
+   * @private
+   */
+  _readSchema(schemaObj, schemaId, schemasPointer, dialect) {
+    const name = schemaId.split('/').pop();
+    const jsSchema = OpenAPIOpenIGC._rewriteRefs(schemaObj, schemasPointer);
+    if (dialect !== null && !jsSchema.hasOwnProperty('$schema')) {
+      jsSchema.$schema = dialect;
+    }
+    jsSchema[JSONSchemaOpenIGC.getIdKeyword(JSONSchemaOpenIGC.getDraft(jsSchema.$schema))] = schemaId;
+    if (!jsSchema.hasOwnProperty('title')) {
+      jsSchema.title = name;
+    }
+    return this._schemaHandler.readSchemaFromObject(jsSchema);
+  }
+
+  /**
+   * Get the id under which the schemas of the provided OpenAPI document are scoped: its title and version (within the namespace, if any)
+   * @param {Object} apiDoc - the OpenAPI document
+   * @return {string}
+   */
+  getAPIId(apiDoc) {
+    const info = apiDoc.info || {};
+    const aTokens = [ info.title || "API", info.version || "unversioned" ];
+    if (this._namespace !== "") {
+      aTokens.unshift(this._namespace.replace(/\/+$/, ""));
+    }
+    return aTokens.join('/');
+  }
+
+  /**
+   * Get the OpenIGC asset XML representation of all of the schemas read
+   * @return {string}
+   */
+  getOpenIGCXML() {
+    return this._schemaHandler.getOpenIGCXML();
+  }
+
+  /**
+   * Get the ids of the schemas read so far that can be loaded (ie. whose diagnostics include no errors)
+   * @return {string[]}
+   */
+  getSchemaIds() {
+    return this._schemaHandler.getSchemaIds();
+  }
+
+  /**
+   * Get any $ref values that could not be resolved to an asset within the schemas read so far
+   * @return {Object[]}
+   */
+  getUnresolvedRefs() {
+    return this._schemaHandler.getUnresolvedRefs();
+  }
+
+  /**
+   * Returns a copy of the schema in which every $ref to another schema of the API (eg. '#/definitions/Pet')
+   * is replaced by a $ref relative to the id under which that schema is scoped (eg. 'Pet', for 'Petstore/1.0.0/Pet')
+   * @private
+   */
+  static _rewriteRefs(schemaObj, schemasPointer) {
+    if (Array.isArray(schemaObj)) {
+      return schemaObj.map(function(item) {
+        return OpenAPIOpenIGC._rewriteRefs(item, schemasPointer);
+      });
+    } else if (typeof schemaObj === 'object' && schemaObj !== null) {
+      const rewritten = {};
+      const aKeys = Object.keys(schemaObj);
+      for (let i = 0; i < aKeys.length; i++) {
+        const key = aKeys[i];
+        const value = schemaObj[key];
+        if (key === '$ref' && typeof value === 'string' && value.indexOf(schemasPointer + "/") === 0) {
+          const aRefTokens = value.substring(schemasPointer.length + 1).split('/');
+          const name = aRefTokens.shift();
+          rewritten[key] = name + (aRefTokens.length > 0 ? "#/" + aRefTokens.join('/') : "");
+        } else {
+          rewritten[key] = OpenAPIOpenIGC._rewriteRefs(value, schemasPointer);
+        }
+      }
+      return rewritten;
+    }
+    return schemaObj;
+  }
+
+}
+
+module.exports = OpenAPIOpenIGC;
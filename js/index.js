@@ -24,7 +24,23 @@
  */
 
 const JSONSchemaOpenIGC = require('./classes/json-schema-open-igc');
+const OpenAPIOpenIGC = require('./classes/openapi-open-igc');
+const OpenIGCJSONSchema = require('./classes/open-igc-json-schema');
+const JSONInstanceValidator = require('./classes/json-instance-validator');
+const JSONSchemaDiff = require('./classes/json-schema-diff');
+const JSONSchemaLineage = require('./classes/json-schema-lineage');
+const JSONSchemaBundle = require('./classes/json-schema-bundle');
+const JSONSchemaLoadState = require('./classes/json-schema-load-state');
+const JSONSchemaIGCSearch = require('./classes/json-schema-igc-search');
 
 if (typeof require === 'function') {
   exports.JSONSchemaOpenIGC = JSONSchemaOpenIGC;
+  exports.OpenAPIOpenIGC = OpenAPIOpenIGC;
+  exports.OpenIGCJSONSchema = OpenIGCJSONSchema;
+  exports.JSONInstanceValidator = JSONInstanceValidator;
+  exports.JSONSchemaDiff = JSONSchemaDiff;
+  exports.JSONSchemaLineage = JSONSchemaLineage;
+  exports.JSONSchemaBundle = JSONSchemaBundle;
+  exports.JSONSchemaLoadState = JSONSchemaLoadState;
+  exports.JSONSchemaIGCSearch = JSONSchemaIGCSearch;
 }
@@ -0,0 +1,84 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* jshint mocha: true */
+
+"use strict";
+
+const assert = require('assert');
+const igcjson = require('../');
+
+const party = {
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "$id": "http://example.com/schemas/v1/Party",
+  "type": "object",
+  "properties": { "name": { "type": "string" } },
+  "required": [ "name" ]
+};
+
+const contract = {
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "$id": "http://example.com/schemas/v1/Contract",
+  "type": "object",
+  "properties": {
+    "parties": { "type": "array", "items": { "$ref": "Party" } }
+  }
+};
+
+describe('JSONInstanceValidator', function() {
+
+  it('finds no diagnostics for a valid document', function() {
+    const validator = new igcjson.JSONInstanceValidator();
+    validator.addSchema(party);
+    assert.deepStrictEqual(validator.getSchemaIds(), [ party.$id ]);
+    assert.deepStrictEqual(validator.validate(party.$id, { "name": 'Jo' }), []);
+  });
+
+  it('locates each way in which a document is invalid within the document', function() {
+    const validator = new igcjson.JSONInstanceValidator();
+    validator.addSchema(party);
+    validator.addSchema(contract);
+    const aDiagnostics = validator.validate(contract.$id, { "parties": [ { "name": 'Jo' }, { "name": 1 } ] });
+    assert.deepStrictEqual(aDiagnostics.map(function(diagnostic) {
+      return diagnostic.code + " " + diagnostic.severity + " " + diagnostic.schema + " " + diagnostic.location;
+    }), [ 'invalid-instance error ' + contract.$id + ' #/parties/1/name' ]);
+  });
+
+  it('refuses to validate against a schema that has not been added, or whose $ref cannot be resolved', function() {
+    const validator = new igcjson.JSONInstanceValidator();
+    assert.throws(function() {
+      validator.validate(party.$id, {});
+    }, /No schema has been added with the id/);
+    validator.addSchema(contract);
+    assert.throws(function() {
+      validator.validate(contract.$id, {});
+    }, /Unable to validate against schema/);
+    assert.throws(function() {
+      validator.addSchema({ "type": "object" });
+    }, /Unable to add a schema without an id/);
+  });
+
+  it('parses either a single document or one document per line', function() {
+    assert.deepStrictEqual(igcjson.JSONInstanceValidator.parseDocuments('{ "name": "Jo" }'), [ { "line": 1, "document": { "name": 'Jo' } } ]);
+    const aDocuments = igcjson.JSONInstanceValidator.parseDocuments('{ "name": "Jo" }\n\n{ "name":\n', true);
+    assert.strictEqual(aDocuments.length, 2);
+    assert.deepStrictEqual(aDocuments[0], { "line": 1, "document": { "name": 'Jo' } });
+    assert.strictEqual(aDocuments[1].line, 3);
+    assert.strictEqual(typeof aDocuments[1].error, 'string');
+  });
+
+});
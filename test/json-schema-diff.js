@@ -0,0 +1,84 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* jshint mocha: true */
+
+"use strict";
+
+const assert = require('assert');
+const path = require('path');
+const igcjson = require('../');
+
+// Uses every kind of asset, including a conditional and a 'not' composition (neither of which has a JSON Pointer of its own)
+const contract = {
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "$id": "http://example.com/schemas/v1/Contract",
+  "title": "Contract",
+  "type": "object",
+  "properties": {
+    "country": { "type": "string" },
+    "zip": { "type": "string", "maxLength": 10 },
+    "parties": { "type": "array", "items": { "$ref": "#/definitions/Party" } },
+    "term": { "oneOf": [ { "type": "integer" }, { "type": "string", "not": { "pattern": "^-" } } ] }
+  },
+  "definitions": {
+    "Party": { "type": "object", "properties": { "name": { "type": "string" } }, "required": [ "name" ] }
+  },
+  "if": { "properties": { "country": { "const": "US" } } },
+  "then": { "required": [ "zip" ] },
+  "else": { "properties": { "zip": { "not": { "type": "integer" } } } }
+};
+
+function read(schema) {
+  const handler = new igcjson.JSONSchemaOpenIGC();
+  handler.readSchemaFromObject(JSON.parse(JSON.stringify(schema)));
+  return handler;
+}
+
+describe('JSONSchemaDiff', function() {
+
+  it('finds no changes between a schema and itself', function() {
+    const diff = new igcjson.JSONSchemaDiff(read(contract), read(contract));
+    assert.deepStrictEqual(diff.getChanges(), []);
+    assert.strictEqual(diff.getOpenIGCXML(), null);
+  });
+
+  it('finds no changes between each of the examples and itself', function() {
+    const aFiles = [ 'ModelWithExample.json', 'SimpleModel.json', 'XMLExample.json' ];
+    for (let i = 0; i < aFiles.length; i++) {
+      const filename = path.join(__dirname, '..', 'examples', aFiles[i]);
+      const previous = new igcjson.JSONSchemaOpenIGC();
+      previous.readSchemaFromFile(filename);
+      const current = new igcjson.JSONSchemaOpenIGC();
+      current.readSchemaFromFile(filename);
+      assert.deepStrictEqual(new igcjson.JSONSchemaDiff(previous, current).getChanges(), [], aFiles[i]);
+    }
+  });
+
+  it('finds each change at the JSON Pointer of the asset changed', function() {
+    const changed = JSON.parse(JSON.stringify(contract));
+    changed.properties.zip.maxLength = 12;
+    changed.properties.country.type = "integer";
+    delete changed.else;
+    const aChanges = new igcjson.JSONSchemaDiff(read(contract), read(changed)).getChanges();
+    assert.deepStrictEqual(aChanges, [
+      { "change": 'type-changed', "schema": contract.$id, "path": '#/properties/country', "type": 'JSPrimitive', "attributes": [ '$type' ] },
+      { "change": 'constraint-changed', "schema": contract.$id, "path": '#/properties/zip', "type": 'JSPrimitive', "attributes": [ '$maxLength' ] },
+      { "change": 'removed', "schema": contract.$id, "path": '#/else', "type": 'JSBranch' }
+    ]);
+  });
+
+});
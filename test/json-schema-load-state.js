@@ -0,0 +1,73 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* jshint mocha: true */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const igcjson = require('../');
+
+describe('JSONSchemaLoadState', function() {
+
+  let tmpDir = null;
+  let filename = null;
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-schema-load-state-'));
+    filename = path.join(tmpDir, 'state.json');
+  });
+
+  afterEach(function() {
+    const aFiles = fs.readdirSync(tmpDir);
+    for (let i = 0; i < aFiles.length; i++) {
+      fs.unlinkSync(path.join(tmpDir, aFiles[i]));
+    }
+    fs.rmdirSync(tmpDir);
+  });
+
+  it('recognises only the same content as already loaded', function() {
+    const state = new igcjson.JSONSchemaLoadState();
+    const hash = igcjson.JSONSchemaLoadState.hash('<doc/>');
+    assert.strictEqual(state.isLoaded('schemas', 'http://example.com/schemas/v1/Party', hash), false);
+    state.markLoaded('schemas', 'http://example.com/schemas/v1/Party', hash);
+    assert.strictEqual(state.isLoaded('schemas', 'http://example.com/schemas/v1/Party', hash), true);
+    assert.strictEqual(state.isLoaded('schemas', 'http://example.com/schemas/v1/Party', igcjson.JSONSchemaLoadState.hash('<changed/>')), false);
+    assert.strictEqual(state.isLoaded('sidecars', 'http://example.com/schemas/v1/Party', hash), false);
+  });
+
+  it('keeps what has been loaded in its file, for a later run to resume from', function() {
+    const hash = igcjson.JSONSchemaLoadState.hash('<doc/>');
+    new igcjson.JSONSchemaLoadState(filename).markLoaded('sidecars', 'party.json', hash);
+    assert.deepStrictEqual(fs.readdirSync(tmpDir), [ 'state.json' ]);
+    const resumed = new igcjson.JSONSchemaLoadState(filename);
+    assert.strictEqual(resumed.isLoaded('sidecars', 'party.json', hash), true);
+  });
+
+  it('starts over from a file that cannot be parsed', function() {
+    fs.writeFileSync(filename, '{ "schemas": {', 'utf8');
+    const hash = igcjson.JSONSchemaLoadState.hash('<doc/>');
+    const state = new igcjson.JSONSchemaLoadState(filename);
+    assert.strictEqual(state.isLoaded('schemas', 'http://example.com/schemas/v1/Party', hash), false);
+    state.markLoaded('schemas', 'http://example.com/schemas/v1/Party', hash);
+    assert.strictEqual(new igcjson.JSONSchemaLoadState(filename).isLoaded('schemas', 'http://example.com/schemas/v1/Party', hash), true);
+  });
+
+});
@@ -0,0 +1,216 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* jshint mocha: true */
+
+"use strict";
+
+const assert = require('assert');
+const path = require('path');
+const igcjson = require('../');
+
+// Uses definitions, compositions (including a 'not', which has a single schema) and a conditional
+const contract = {
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "$id": "http://example.com/schemas/v1/Contract",
+  "title": "Contract",
+  "type": "object",
+  "properties": {
+    "country": { "type": "string" },
+    "zip": { "type": "string", "maxLength": 10 },
+    "parties": { "type": "array", "items": { "$ref": "#/definitions/Party" } },
+    "term": { "oneOf": [ { "type": "integer" }, { "type": "string", "not": { "pattern": "^-" } } ] }
+  },
+  "definitions": {
+    "Party": { "type": "object", "properties": { "name": { "type": "string" } }, "required": [ "name" ] }
+  },
+  "if": { "properties": { "country": { "const": "US" } } },
+  "then": { "required": [ "zip" ] },
+  "else": { "properties": { "zip": { "not": { "type": "integer" } } } }
+};
+
+function read(schema) {
+  const handler = new igcjson.JSONSchemaOpenIGC();
+  const aDiagnostics = handler.readSchemaFromObject(JSON.parse(JSON.stringify(schema)));
+  return { "handler": handler, "diagnostics": aDiagnostics, "assets": handler.getAssets(schema.$id) };
+}
+
+function findAsset(aAssets, pointer) {
+  return aAssets.filter(function(asset) {
+    return (pointer === '#') ? asset.type === '$JSON_Schema-JSchema' : asset.attributes.$id === pointer;
+  })[0];
+}
+
+describe('JSONSchemaOpenIGC', function() {
+
+  it('references the target of a $ref on the schema itself', function() {
+    const wrapper = {
+      "$schema": "http://json-schema.org/draft-07/schema#",
+      "$id": "http://example.com/schemas/v1/Wrapper",
+      "$ref": "#/definitions/Party",
+      "definitions": {
+        "Party": { "type": "object", "properties": { "name": { "type": "string" } } }
+      }
+    };
+    const result = read(wrapper);
+    assert.deepStrictEqual(result.diagnostics, []);
+    const schema = findAsset(result.assets, '#');
+    const party = findAsset(result.assets, '#/definitions/Party');
+    assert.strictEqual(schema.attributes.$ref, '#/definitions/Party');
+    assert.deepStrictEqual(result.handler.getUnresolvedRefs(), []);
+    assert.notStrictEqual(result.handler.getOpenIGCXML().indexOf('<reference name="$refTarget" assetIDs="' + party.id + '"/>'), -1);
+  });
+
+  it('translates definitions and $defs into objects within the schema', function() {
+    const order = {
+      "$schema": "https://json-schema.org/draft/2020-12/schema",
+      "$id": "http://example.com/schemas/v1/Order",
+      "type": "object",
+      "$defs": {
+        "Line": { "type": "object", "properties": { "qty": { "type": "integer" } } }
+      }
+    };
+    const aResults = [ read(contract), read(order) ];
+    assert.deepStrictEqual(aResults[0].diagnostics, []);
+    assert.deepStrictEqual(aResults[1].diagnostics, []);
+    const party = findAsset(aResults[0].assets, '#/definitions/Party');
+    assert.strictEqual(party.type, '$JSON_Schema-JSObject');
+    assert.strictEqual(party.name, 'Party');
+    assert.strictEqual(party.parentId, findAsset(aResults[0].assets, '#').id);
+    assert.strictEqual(findAsset(aResults[0].assets, '#/definitions/Party/properties/name').parentId, party.id);
+    const line = findAsset(aResults[1].assets, '#/$defs/Line');
+    assert.strictEqual(line.type, '$JSON_Schema-JSObject');
+    assert.strictEqual(findAsset(aResults[1].assets, '#/$defs/Line/properties/qty').attributes.$type, 'integer');
+  });
+
+  it('translates each composition into its keyword, with a branch for each of its schemas', function() {
+    const aAssets = read(contract).assets;
+    const oneOf = findAsset(aAssets, '#/properties/term/oneOf');
+    assert.strictEqual(oneOf.type, '$JSON_Schema-JSComposition');
+    assert.strictEqual(oneOf.attributes.$keyword, 'oneOf');
+    const aBranches = aAssets.filter(function(asset) {
+      return asset.parentId === oneOf.id;
+    });
+    assert.deepStrictEqual(aBranches.map(function(asset) {
+      return asset.attributes.$id;
+    }), [ '#/properties/term/oneOf/0', '#/properties/term/oneOf/1' ]);
+    assert.strictEqual(aBranches[0].type, '$JSON_Schema-JSBranch');
+    assert.strictEqual(aBranches[0].attributes.$type, 'integer');
+    // (a 'not' has a single schema, rather than an array of them, so its composition has no JSON Pointer of its own)
+    const not = findAsset(aAssets, '#/properties/term/oneOf/1/not-composition');
+    assert.strictEqual(not.attributes.$keyword, 'not');
+    assert.strictEqual(findAsset(aAssets, '#/properties/term/oneOf/1/not').parentId, not.id);
+  });
+
+  it('translates if / then / else into a conditional with a branch for each', function() {
+    const aAssets = read(contract).assets;
+    const conditional = findAsset(aAssets, '#/if-then-else');
+    assert.strictEqual(conditional.type, '$JSON_Schema-JSConditional');
+    assert.strictEqual(conditional.parentId, findAsset(aAssets, '#').id);
+    const aBranches = [ '#/if', '#/then', '#/else' ].map(function(pointer) {
+      return findAsset(aAssets, pointer);
+    });
+    for (let i = 0; i < aBranches.length; i++) {
+      assert.strictEqual(aBranches[i].type, '$JSON_Schema-JSBranch');
+      assert.strictEqual(aBranches[i].parentId, conditional.id);
+    }
+    assert.deepStrictEqual(aBranches[1].attributes.$required, [ 'zip' ]);
+    assert.strictEqual(findAsset(aAssets, '#/if/properties/country').attributes.$const, '"US"');
+  });
+
+  it('translates a list of types into its most structured type, keeping the full list', function() {
+    const nullable = {
+      "$schema": "http://json-schema.org/draft-07/schema#",
+      "$id": "http://example.com/schemas/v1/Nullable",
+      "type": "object",
+      "properties": {
+        "name": { "type": [ "string", "null" ] },
+        "tags": { "type": [ "null", "array" ], "items": { "type": "string" } }
+      }
+    };
+    const result = read(nullable);
+    assert.deepStrictEqual(result.diagnostics, []);
+    const name = findAsset(result.assets, '#/properties/name');
+    assert.strictEqual(name.type, '$JSON_Schema-JSPrimitive');
+    assert.strictEqual(name.attributes.$type, 'string');
+    assert.deepStrictEqual(name.attributes.$types, [ 'string', 'null' ]);
+    assert.strictEqual(name.attributes.$nullable, true);
+    const tags = findAsset(result.assets, '#/properties/tags');
+    assert.strictEqual(tags.type, '$JSON_Schema-JSArray');
+    assert.strictEqual(tags.attributes.$type, 'array');
+    assert.strictEqual(findAsset(result.assets, '#/properties/tags/items').parentId, tags.id);
+  });
+
+  it('maps extension keywords to attributes and relationships', function() {
+    const extended = {
+      "$schema": "http://json-schema.org/draft-07/schema#",
+      "$id": "http://example.com/schemas/v1/Extended",
+      "type": "object",
+      "x-term": "6662c0f2.e1b1ec6c.001",
+      "properties": {
+        "code": { "type": "string", "x-label": "Order code", "x-other": true }
+      }
+    };
+    const handler = new igcjson.JSONSchemaOpenIGC({
+      "mode": 'lenient',
+      "extensions": {
+        "x-label": { "attribute": 'title' },
+        "x-term": { "relationship": 'assigned_to_terms' }
+      }
+    });
+    const aDiagnostics = handler.readSchemaFromObject(JSON.parse(JSON.stringify(extended)));
+    assert.deepStrictEqual(aDiagnostics.map(function(diagnostic) {
+      return diagnostic.code + " " + diagnostic.location;
+    }), [ 'uncaptured-keyword #/properties/code/x-other' ]);
+    assert.strictEqual(findAsset(handler.getAssets(extended.$id), '#/properties/code').attributes.$title, 'Order code');
+    assert.deepStrictEqual(handler.getRelationships(), [
+      { "schema": extended.$id, "path": '#', "type": 'JSchema', "relationship": 'assigned_to_terms', "rids": [ '6662c0f2.e1b1ec6c.001' ], "lineage": false }
+    ]);
+    assert.throws(function() {
+      igcjson.JSONSchemaOpenIGC.validateExtensionMapping({ "x-label": { "attribute": 'noSuchAttribute' } });
+    }, /the bundle has no attribute 'noSuchAttribute'/);
+  });
+
+  it('derives the identity of a schema without an id from the options', function() {
+    const person = {
+      "$schema": "http://json-schema.org/draft-07/schema#",
+      "title": "Person",
+      "type": "object",
+      "properties": { "name": { "type": "string" } }
+    };
+    const byTitle = new igcjson.JSONSchemaOpenIGC();
+    assert.strictEqual(byTitle.readSchemaFromObject(JSON.parse(JSON.stringify(person)))[0].code, 'derived-id');
+    assert.deepStrictEqual(byTitle.getSchemaIds(), [ 'local/Person' ]);
+    const byFile = new igcjson.JSONSchemaOpenIGC({ "identity": 'file', "namespace": 'acme' });
+    byFile.readSchemaFromString(JSON.stringify(person), 'json', path.join('schemas', 'people', 'person.json'));
+    assert.deepStrictEqual(byFile.getSchemaIds(), [ 'acme/person' ]);
+    const byPath = new igcjson.JSONSchemaOpenIGC({ "identity": 'path', "namespace": 'acme', "baseDirectory": 'schemas' });
+    byPath.readSchemaFromString(JSON.stringify(person), 'json', path.join('schemas', 'people', 'person.json'));
+    assert.deepStrictEqual(byPath.getSchemaIds(), [ 'acme/people/person' ]);
+  });
+
+  it('gives every asset the same identity each time the same schema is read', function() {
+    const aFirst = read(contract);
+    const aSecond = read(contract);
+    assert.deepStrictEqual(aFirst.assets.map(function(asset) {
+      return asset.id;
+    }), aSecond.assets.map(function(asset) {
+      return asset.id;
+    }));
+    assert.strictEqual(aFirst.handler.getOpenIGCXML(), aSecond.handler.getOpenIGCXML());
+  });
+
+});
@@ -0,0 +1,84 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* jshint mocha: true */
+
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const igcjson = require('../');
+
+function roundTrip(schema, options) {
+  const handler = new igcjson.JSONSchemaOpenIGC(options);
+  assert.deepStrictEqual(handler.readSchemaFromObject(JSON.parse(JSON.stringify(schema))), []);
+  const rebuilder = new igcjson.OpenIGCJSONSchema(options);
+  rebuilder.readOpenIGCXML(handler.getOpenIGCXML());
+  return rebuilder;
+}
+
+describe('OpenIGCJSONSchema', function() {
+
+  it('rebuilds each of the examples as it was', function() {
+    const aFiles = [ 'ModelWithExample.json', 'SimpleModel.json', 'XMLExample.json' ];
+    for (let i = 0; i < aFiles.length; i++) {
+      const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples', aFiles[i]), 'utf8'));
+      const rebuilder = roundTrip(schema);
+      assert.deepStrictEqual(rebuilder.getSchema(rebuilder.getSchemaIds()[0]), schema, aFiles[i]);
+    }
+  });
+
+  it('rebuilds definitions, compositions, conditionals, lists of types and JSON values as they were', function() {
+    const contract = {
+      "$schema": "http://json-schema.org/draft-07/schema#",
+      "$id": "http://example.com/schemas/v1/Contract",
+      "title": "Contract",
+      "type": "object",
+      "properties": {
+        "country": { "type": "string", "enum": [ "US", "GB", null ], "default": "US" },
+        "zip": { "type": [ "string", "null" ], "maxLength": 10 },
+        "parties": { "type": "array", "items": { "$ref": "#/definitions/Party" } },
+        "term": { "oneOf": [ { "type": "integer" }, { "type": "string", "not": { "pattern": "^-" } } ] }
+      },
+      "definitions": {
+        "Party": { "type": "object", "properties": { "name": { "type": "string" } }, "required": [ "name" ] }
+      },
+      "if": { "properties": { "country": { "const": "US" } } },
+      "then": { "required": [ "zip" ] },
+      "else": { "properties": { "zip": { "not": { "type": "integer" } } } }
+    };
+    const rebuilder = roundTrip(contract);
+    assert.deepStrictEqual(rebuilder.getSchemaIds(), [ contract.$id ]);
+    assert.deepStrictEqual(rebuilder.getSchema(contract.$id), contract);
+    assert.strictEqual(rebuilder.getSchema('http://example.com/schemas/v1/Unknown'), null);
+  });
+
+  it('rebuilds attributes mapped from extension keywords as the extension keywords', function() {
+    const extended = {
+      "$schema": "http://json-schema.org/draft-07/schema#",
+      "$id": "http://example.com/schemas/v1/Extended",
+      "type": "object",
+      "properties": {
+        "code": { "type": "string", "x-label": "Order code" }
+      }
+    };
+    const rebuilder = roundTrip(extended, { "extensions": { "x-label": { "attribute": 'title' } } });
+    assert.deepStrictEqual(rebuilder.getSchema(extended.$id), extended);
+  });
+
+});
@@ -0,0 +1,86 @@
+/***
+ * Copyright 2018 IBM Corp. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/* jshint mocha: true */
+
+"use strict";
+
+const assert = require('assert');
+const igcjson = require('../');
+
+function getSchemas(refPrefix) {
+  return {
+    "Pet": {
+      "type": "object",
+      "required": [ "name" ],
+      "properties": {
+        "name": { "type": "string" },
+        "tag": { "$ref": refPrefix + "/Tag" }
+      }
+    },
+    "Tag": { "type": "string" }
+  };
+}
+
+describe('OpenAPIOpenIGC', function() {
+
+  it('reads the definitions of OpenAPI 2.0 as draft-04 schemas scoped by the API', function() {
+    const apiDoc = { "swagger": '2.0', "info": { "title": 'Petstore', "version": '1.0.0' }, "definitions": getSchemas('#/definitions') };
+    const api = new igcjson.OpenAPIOpenIGC();
+    assert.deepStrictEqual(api.readAPIFromObject(apiDoc), { "Pet": [], "Tag": [] });
+    assert.strictEqual(api.getAPIId(apiDoc), 'Petstore/1.0.0');
+    assert.deepStrictEqual(api.getSchemaIds(), [ 'Petstore/1.0.0/Pet', 'Petstore/1.0.0/Tag' ]);
+    assert.deepStrictEqual(api.getUnresolvedRefs(), []);
+    const xml = api.getOpenIGCXML();
+    assert.notStrictEqual(xml.indexOf('<attribute name="$draft" value="draft-04"/>'), -1);
+    assert.notStrictEqual(xml.indexOf('<attribute name="$ref" value="Tag"/>'), -1);
+    assert.notStrictEqual(xml.indexOf('<reference name="$refTarget"'), -1);
+  });
+
+  it('reads the components of OpenAPI 3.x as schemas of the dialect for its version', function() {
+    const apiDoc = { "openapi": '3.1.0', "info": { "title": 'Petstore', "version": '2.0.0' }, "components": { "schemas": getSchemas('#/components/schemas') } };
+    apiDoc.components.schemas.Tag.type = [ "string", "null" ];
+    const api = new igcjson.OpenAPIOpenIGC('acme');
+    assert.deepStrictEqual(api.readAPIFromObject(apiDoc), { "Pet": [], "Tag": [] });
+    assert.deepStrictEqual(api.getSchemaIds(), [ 'acme/Petstore/2.0.0/Pet', 'acme/Petstore/2.0.0/Tag' ]);
+    assert.notStrictEqual(api.getOpenIGCXML().indexOf('<attribute name="$draft" value="2020-12"/>'), -1);
+    assert.deepStrictEqual(api.getUnresolvedRefs(), []);
+  });
+
+  it('captures an OpenAPI 3 discriminator as JSON', function() {
+    const apiDoc = { "openapi": '3.0.3', "info": { "title": 'Petstore', "version": '3.0.0' }, "components": { "schemas": getSchemas('#/components/schemas') } };
+    apiDoc.components.schemas.Pet.discriminator = { "propertyName": 'name' };
+    const api = new igcjson.OpenAPIOpenIGC();
+    api.readAPIFromObject(apiDoc);
+    assert.notStrictEqual(api.getOpenIGCXML().indexOf('<attribute name="$discriminator" value="{'), -1);
+    const rebuilder = new igcjson.OpenIGCJSONSchema();
+    rebuilder.readOpenIGCXML(api.getOpenIGCXML());
+    assert.deepStrictEqual(rebuilder.getSchema('Petstore/3.0.0/Pet').discriminator, { "propertyName": 'name' });
+  });
+
+  it('skips a schema that is not an object, reporting it as an error', function() {
+    const apiDoc = { "openapi": '3.1.0', "info": { "title": 'Petstore', "version": '4.0.0' }, "components": { "schemas": getSchemas('#/components/schemas') } };
+    apiDoc.components.schemas.Anything = true;
+    const api = new igcjson.OpenAPIOpenIGC();
+    const hmDiagnostics = api.readAPIFromObject(apiDoc);
+    assert.strictEqual(hmDiagnostics.Anything.length, 1);
+    assert.strictEqual(hmDiagnostics.Anything[0].code, 'unsupported-schema');
+    assert.strictEqual(hmDiagnostics.Anything[0].severity, 'error');
+    assert.deepStrictEqual(api.getSchemaIds(), [ 'Petstore/4.0.0/Pet', 'Petstore/4.0.0/Tag' ]);
+  });
+
+});